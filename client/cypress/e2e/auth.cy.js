@@ -200,10 +200,10 @@ describe('Authentication', () => {
       
       cy.submitForm();
       
-      cy.shouldShowSuccess('Password reset email sent');
+      cy.shouldShowSuccess('a password reset email has been sent');
     });
 
-    it('should show error for non-existent email', () => {
+    it('should not reveal whether an email is registered', () => {
       cy.visit('/forgot-password');
       
       cy.fillForm({
@@ -212,7 +212,7 @@ describe('Authentication', () => {
       
       cy.submitForm();
       
-      cy.shouldShowError('Email not found');
+      cy.shouldShowSuccess('a password reset email has been sent');
     });
   });
 
@@ -0,0 +1,47 @@
+import apiClient, { unwrap } from './client';
+
+export const register = ({ username, email, password }) => (
+  unwrap(apiClient.post('/auth/register', { username, email, password }))
+);
+
+export const login = ({ email, password }) => unwrap(apiClient.post('/auth/login', { email, password }));
+
+// Second login step for accounts with two-factor authentication
+export const verifyTwoFactor = ({ challengeToken, code, recoveryCode }) => (
+  unwrap(apiClient.post('/auth/login/2fa', { challengeToken, code, recoveryCode }))
+);
+
+export const refresh = refreshToken => unwrap(apiClient.post('/auth/refresh', { refreshToken }));
+
+export const logout = refreshToken => unwrap(apiClient.post('/auth/logout', { refreshToken }));
+
+export const getMe = () => unwrap(apiClient.get('/auth/me'));
+
+export const updateProfile = updates => unwrap(apiClient.put('/auth/profile', updates));
+
+export const changePassword = ({ currentPassword, newPassword }) => (
+  unwrap(apiClient.put('/auth/password', { currentPassword, newPassword }))
+);
+
+export const forgotPassword = ({ email }) => unwrap(apiClient.post('/auth/forgot-password', { email }));
+
+export const resetPassword = ({ token, password }) => (
+  unwrap(apiClient.post('/auth/reset-password', { token, password }))
+);
+
+export const verifyEmail = token => unwrap(apiClient.get('/auth/verify-email', { params: { token } }));
+
+export const resendVerification = ({ email }) => unwrap(apiClient.post('/auth/resend-verification', { email }));
+
+export const setupTwoFactor = () => unwrap(apiClient.post('/auth/2fa/setup'));
+
+export const enableTwoFactor = ({ code }) => unwrap(apiClient.post('/auth/2fa/verify', { code }));
+
+export const disableTwoFactor = ({ password, code, recoveryCode }) => (
+  unwrap(apiClient.post('/auth/2fa/disable', { password, code, recoveryCode }))
+);
+
+// Admin only
+export const listUsers = params => unwrap(apiClient.get('/auth/users', { params }));
+
+export const updateUser = (id, updates) => unwrap(apiClient.put(`/auth/users/${id}`, updates));
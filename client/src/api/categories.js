@@ -0,0 +1,12 @@
+import apiClient, { unwrap } from './client';
+
+export const listCategories = () => unwrap(apiClient.get('/categories'));
+
+export const getCategory = slug => unwrap(apiClient.get(`/categories/${encodeURIComponent(slug)}`));
+
+// Admin only
+export const createCategory = category => unwrap(apiClient.post('/categories', category));
+
+export const updateCategory = (id, updates) => unwrap(apiClient.put(`/categories/${id}`, updates));
+
+export const deleteCategory = id => unwrap(apiClient.delete(`/categories/${id}`));
@@ -0,0 +1,136 @@
+import axios from 'axios';
+import { getToken, getRefreshToken, getStoredUser, saveSession } from './session';
+
+// Requests go to REACT_APP_API_URL, or to /api on the same origin (proxied to the
+// server in development)
+export const API_URL = process.env.REACT_APP_API_URL || '/api';
+
+const apiClient = axios.create({
+  baseURL: API_URL,
+  headers: { 'Content-Type': 'application/json' }
+});
+
+let ambientSignal = null;
+
+// Calls fn with signal attached to every request it starts synchronously, so
+// callers such as useApi can cancel API functions that take no signal argument
+export const runWithSignal = (signal, fn) => {
+  const previous = ambientSignal;
+  ambientSignal = signal;
+  try {
+    return fn();
+  } finally {
+    ambientSignal = previous;
+  }
+};
+
+// Synchronous, so the config is complete before the caller's code continues
+apiClient.interceptors.request.use((config) => {
+  const token = getToken();
+  if (token && !config.headers.Authorization) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  if (ambientSignal && !config.signal) {
+    config.signal = ambientSignal;
+  }
+  return config;
+}, null, { synchronous: true });
+
+// Gives every failure the server's error shape, so callers can always read
+// err.response.data.error (and code/details when the server sent them).
+// Cancelled requests are passed through untouched.
+export const toApiError = (error) => {
+  if (axios.isCancel(error)) {
+    return error;
+  }
+
+  const { response } = error;
+  const data = response?.data && typeof response.data === 'object' ? response.data : {};
+  const message = typeof data.error === 'string'
+    ? data.error
+    : response ? `Request failed with status ${response.status}` : 'Network error';
+
+  error.message = message;
+  error.response = {
+    ...response,
+    status: response?.status ?? 0,
+    data: { ...data, error: message, code: data.code || (response ? 'HTTP_ERROR' : 'NETWORK_ERROR') }
+  };
+  return error;
+};
+
+// Resolves a request to its response body ({ success: true, ... })
+export const unwrap = request => request.then(response => response.data);
+
+let unauthorizedHandler = null;
+
+// Called when the server rejects the session and it cannot be refreshed
+export const setUnauthorizedHandler = (handler) => {
+  unauthorizedHandler = handler;
+};
+
+// Tabs share one refresh token, and reusing a rotated one ends every session,
+// so refreshes are serialized across tabs where the browser supports it
+const withRefreshLock = task => (
+  navigator.locks ? navigator.locks.request('session-refresh', task) : task()
+);
+
+let pendingRefresh = null;
+
+// Exchanges the stored refresh token for a new session and stores it.
+// Concurrent callers in this tab share a single request.
+export const refreshSession = () => {
+  if (!pendingRefresh) {
+    const staleToken = getToken();
+
+    pendingRefresh = withRefreshLock(async () => {
+      // Another tab may have refreshed while this one waited for the lock
+      if (getToken() && getToken() !== staleToken) {
+        return { token: getToken(), user: getStoredUser() };
+      }
+
+      const refreshToken = getRefreshToken();
+      if (!refreshToken) {
+        throw new Error('No refresh token');
+      }
+
+      const session = await unwrap(apiClient.post('/auth/refresh', { refreshToken }, { skipSessionRefresh: true }));
+      saveSession(session);
+      return session;
+    }).finally(() => {
+      pendingRefresh = null;
+    });
+  }
+  return pendingRefresh;
+};
+
+// The server's answer when the access token is expired, revoked or malformed.
+// Other 401s (e.g. a wrong password at login) say nothing about the session.
+const isSessionRejected = response => response?.status === 401 && response.data?.code === 'INVALID_TOKEN';
+
+// A rejected session is refreshed and the request retried once; if that is not
+// possible the unauthorized handler runs
+const handleResponseError = async (error) => {
+  const { config, response } = error;
+
+  if (isSessionRejected(response) && config?.headers?.Authorization && !config.skipSessionRefresh) {
+    if (!config.sessionRetried) {
+      const session = await refreshSession().catch(() => null);
+      if (session) {
+        config.sessionRetried = true;
+        config.headers.Authorization = `Bearer ${session.token}`;
+        return apiClient(config);
+      }
+    }
+
+    if (unauthorizedHandler) {
+      unauthorizedHandler();
+    }
+  }
+
+  return Promise.reject(toApiError(error));
+};
+
+apiClient.interceptors.response.use(response => response, handleResponseError);
+
+export default apiClient;
@@ -0,0 +1,7 @@
+import * as authApi from './auth';
+import * as postsApi from './posts';
+import * as categoriesApi from './categories';
+
+export { default as apiClient, API_URL, refreshSession, setUnauthorizedHandler } from './client';
+export * from './session';
+export { authApi, postsApi, categoriesApi };
@@ -0,0 +1,22 @@
+import apiClient, { unwrap } from './client';
+
+// Accepts the list filters of GET /api/posts: page, limit, category, author,
+// tags, status, featured, from, to and sort
+export const listPosts = (params = {}) => unwrap(apiClient.get('/posts', { params }));
+
+export const getPost = id => unwrap(apiClient.get(`/posts/${id}`));
+
+export const getPostBySlug = slug => unwrap(apiClient.get(`/posts/slug/${encodeURIComponent(slug)}`));
+
+export const createPost = post => unwrap(apiClient.post('/posts', post));
+
+export const updatePost = (id, updates) => unwrap(apiClient.put(`/posts/${id}`, updates));
+
+export const deletePost = id => unwrap(apiClient.delete(`/posts/${id}`));
+
+// Publishes now, or schedules the post when publishAt is given
+export const publishPost = (id, publishAt) => (
+  unwrap(apiClient.post(`/posts/${id}/publish`, publishAt ? { publishAt } : {}))
+);
+
+export const unpublishPost = id => unwrap(apiClient.post(`/posts/${id}/unpublish`));
@@ -0,0 +1,45 @@
+// The session lives in localStorage so it survives reloads and is shared between tabs
+export const TOKEN_KEY = 'token';
+export const REFRESH_TOKEN_KEY = 'refreshToken';
+export const USER_KEY = 'user';
+
+export const getToken = () => localStorage.getItem(TOKEN_KEY);
+
+export const getRefreshToken = () => localStorage.getItem(REFRESH_TOKEN_KEY);
+
+export const getStoredUser = () => {
+  try {
+    return JSON.parse(localStorage.getItem(USER_KEY));
+  } catch (error) {
+    return null;
+  }
+};
+
+// Stores whichever of the session fields are given
+export const saveSession = ({ token, refreshToken, user }) => {
+  if (token) localStorage.setItem(TOKEN_KEY, token);
+  if (refreshToken) localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+  if (user) localStorage.setItem(USER_KEY, JSON.stringify(user));
+};
+
+export const clearSession = () => {
+  localStorage.removeItem(TOKEN_KEY);
+  localStorage.removeItem(REFRESH_TOKEN_KEY);
+  localStorage.removeItem(USER_KEY);
+};
+
+// Reads the exp claim of a JWT, in milliseconds, without verifying it; the
+// server still checks the signature on every request
+export const getTokenExpiry = (token) => {
+  try {
+    const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+    return typeof payload.exp === 'number' ? payload.exp * 1000 : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+export const isTokenExpired = (token) => {
+  const expiry = getTokenExpiry(token);
+  return expiry !== null && expiry <= Date.now();
+};
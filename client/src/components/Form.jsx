@@ -29,6 +29,7 @@ const Form = ({
     }
   };
 
+  // Custom validators also receive the whole form, e.g. to compare two fields
   const validateField = (name, value, validation) => {
     if (!validation) return null;
     
@@ -49,7 +50,7 @@ const Form = ({
     }
     
     if (validation.custom) {
-      return validation.custom(value);
+      return validation.custom(value, formData);
     }
     
     return null;
@@ -96,6 +97,7 @@ const Form = ({
       value,
       onChange: (e) => handleInputChange(name, e.target.value),
       placeholder,
+      'aria-label': label || name,
       className: `w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 ${
         error ? 'border-red-500' : 'border-gray-300'
       }`,
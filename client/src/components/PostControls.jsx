@@ -0,0 +1,49 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { Link } from 'react-router-dom';
+import Button from './Button';
+import { isPublished } from '../utils/posts';
+
+// Edit, publish/unpublish and delete actions for a post, limited to those the
+// user may take. Renders nothing when there are none.
+const PostControls = ({ post, canManage = false, canUnpublish = false, onTogglePublished, onDelete }) => {
+  const published = isPublished(post);
+  const canTogglePublished = published ? canUnpublish : canManage;
+
+  if (!canManage && !canTogglePublished) {
+    return null;
+  }
+
+  return (
+    <div data-testid="post-controls">
+      {canManage && (
+        <Link to={`/posts/${post._id}/edit`} className="button button-secondary">
+          Edit
+        </Link>
+      )}
+      {canTogglePublished && (
+        <Button onClick={() => onTogglePublished(post)} variant="secondary">
+          {published ? 'Unpublish' : 'Publish'}
+        </Button>
+      )}
+      {canManage && (
+        <Button onClick={() => onDelete(post)} variant="danger" data-testid="delete-post">
+          Delete
+        </Button>
+      )}
+    </div>
+  );
+};
+
+PostControls.propTypes = {
+  post: PropTypes.shape({
+    _id: PropTypes.string.isRequired,
+    status: PropTypes.string
+  }).isRequired,
+  canManage: PropTypes.bool,
+  canUnpublish: PropTypes.bool,
+  onTogglePublished: PropTypes.func.isRequired,
+  onDelete: PropTypes.func.isRequired
+};
+
+export default PostControls;
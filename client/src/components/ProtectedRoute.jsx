@@ -0,0 +1,23 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { Navigate, useLocation } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+
+// Sends signed-out visitors to the login page, remembering where they were
+// headed so LoginPage can bring them back afterwards
+const ProtectedRoute = ({ children }) => {
+  const location = useLocation();
+  const { user } = useAuth();
+
+  if (!user) {
+    return <Navigate to="/login" state={{ from: location }} replace />;
+  }
+
+  return children;
+};
+
+ProtectedRoute.propTypes = {
+  children: PropTypes.node.isRequired
+};
+
+export default ProtectedRoute;
@@ -0,0 +1,134 @@
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react';
+import PropTypes from 'prop-types';
+import {
+  authApi,
+  refreshSession,
+  setUnauthorizedHandler,
+  getToken,
+  getRefreshToken,
+  getStoredUser,
+  getTokenExpiry,
+  isTokenExpired,
+  saveSession,
+  clearSession,
+  TOKEN_KEY,
+  USER_KEY
+} from '../api';
+
+// setTimeout fires immediately for delays that do not fit in 32 bits
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+const AuthContext = createContext(null);
+
+// A stored user only counts as signed in while the token is usable or can be refreshed
+const loadUser = () => {
+  const token = getToken();
+  if (!token || (isTokenExpired(token) && !getRefreshToken())) {
+    return null;
+  }
+  return getStoredUser();
+};
+
+export const AuthProvider = ({ children }) => {
+  const [user, setUser] = useState(loadUser);
+
+  const startSession = useCallback((session) => {
+    saveSession(session);
+    setUser(session.user);
+  }, []);
+
+  const endSession = useCallback(() => {
+    clearSession();
+    setUser(null);
+  }, []);
+
+  // Resolves to the login response; with two-factor authentication on, the
+  // session only starts after verifyTwoFactor
+  const login = useCallback(async (credentials) => {
+    const result = await authApi.login(credentials);
+    if (!result.twoFactorRequired) {
+      startSession(result);
+    }
+    return result;
+  }, [startSession]);
+
+  const verifyTwoFactor = useCallback(async (secondFactor) => {
+    const result = await authApi.verifyTwoFactor(secondFactor);
+    startSession(result);
+    return result;
+  }, [startSession]);
+
+  // New accounts log in separately, which also covers those that must verify their email first
+  const register = useCallback(userData => authApi.register(userData), []);
+
+  // The local session is cleared even if revoking the refresh token fails
+  const logout = useCallback(() => {
+    const refreshToken = getRefreshToken();
+    if (refreshToken) {
+      authApi.logout(refreshToken).catch(() => {});
+    }
+    endSession();
+  }, [endSession]);
+
+  const updateUser = useCallback((updatedUser) => {
+    saveSession({ user: updatedUser });
+    setUser(updatedUser);
+  }, []);
+
+  // The API client reports sessions the server rejected and could not refresh
+  useEffect(() => {
+    setUnauthorizedHandler(endSession);
+    return () => setUnauthorizedHandler(null);
+  }, [endSession]);
+
+  // Logging in or out in another tab changes the stored session
+  useEffect(() => {
+    const handleStorage = (event) => {
+      // key is null when localStorage was cleared
+      if (event.key === null || event.key === TOKEN_KEY || event.key === USER_KEY) {
+        setUser(loadUser());
+      }
+    };
+
+    window.addEventListener('storage', handleStorage);
+    return () => window.removeEventListener('storage', handleStorage);
+  }, []);
+
+  // Refresh the session when the access token expires, or end it if that fails
+  useEffect(() => {
+    const expiry = user && getTokenExpiry(getToken());
+    if (!expiry) {
+      return undefined;
+    }
+
+    const timer = setTimeout(() => {
+      refreshSession().then(session => setUser(session.user)).catch(endSession);
+    }, Math.min(Math.max(expiry - Date.now(), 0), MAX_TIMER_DELAY));
+
+    return () => clearTimeout(timer);
+  }, [user, endSession]);
+
+  const value = useMemo(() => ({
+    user,
+    isAuthenticated: Boolean(user),
+    login,
+    verifyTwoFactor,
+    register,
+    logout,
+    updateUser
+  }), [user, login, verifyTwoFactor, register, logout, updateUser]);
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+};
+
+AuthProvider.propTypes = {
+  children: PropTypes.node.isRequired
+};
+
+export const useAuth = () => {
+  const context = useContext(AuthContext);
+  if (!context) {
+    throw new Error('useAuth must be used within an AuthProvider');
+  }
+  return context;
+};
@@ -1,40 +1,112 @@
-import { useState, useCallback } from 'react';
+import { useState, useCallback, useEffect, useRef } from 'react';
+import { runWithSignal } from '../api/client';
 
-const useApi = (apiFunction) => {
+const abortError = signal => signal.reason || new DOMException('The request was aborted', 'AbortError');
+
+// Rejects once the signal aborts, so callers are not left waiting on API
+// functions that ignore it
+const whenAborted = signal => new Promise((resolve, reject) => {
+  signal.addEventListener('abort', () => reject(abortError(signal)), { once: true });
+});
+
+// Runs apiFunction and tracks its data, loading and error state. Only the
+// latest call updates state: starting a new one aborts the previous request,
+// and superseded or aborted calls reject with an AbortError. With dedupe, a
+// call with the same arguments as the one in flight shares its promise instead.
+// Unmounting aborts the request too, and state is never updated afterwards.
+const useApi = (apiFunction, { dedupe = false } = {}) => {
   const [data, setData] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
 
-  const execute = useCallback(async (...args) => {
-    try {
-      setLoading(true);
-      setError(null);
-      
-      const result = await apiFunction(...args);
-      setData(result);
-      return result;
-    } catch (err) {
-      const errorMessage = err.response?.data?.error || err.message || 'An error occurred';
-      setError(errorMessage);
-      throw err;
-    } finally {
+  const currentCallRef = useRef(null);
+  const mountedRef = useRef(false);
+
+  const cancelCurrentCall = useCallback(() => {
+    if (currentCallRef.current) {
+      currentCallRef.current.controller.abort();
+      currentCallRef.current = null;
+    }
+  }, []);
+
+  useEffect(() => {
+    mountedRef.current = true;
+    return () => {
+      mountedRef.current = false;
+      cancelCurrentCall();
+    };
+  }, [cancelCurrentCall]);
+
+  const execute = useCallback((...args) => {
+    const key = dedupe ? JSON.stringify(args) : null;
+    if (dedupe && currentCallRef.current?.key === key) {
+      return currentCallRef.current.promise;
+    }
+    cancelCurrentCall();
+
+    const controller = new AbortController();
+    const call = { controller, key };
+    currentCallRef.current = call;
+    const isCurrent = () => mountedRef.current && currentCallRef.current === call;
+
+    call.promise = (async () => {
+      try {
+        if (isCurrent()) {
+          setLoading(true);
+          setError(null);
+        }
+
+        const result = await Promise.race([
+          runWithSignal(controller.signal, () => apiFunction(...args)),
+          whenAborted(controller.signal)
+        ]);
+        if (isCurrent()) {
+          setData(result);
+        }
+        return result;
+      } catch (err) {
+        if (controller.signal.aborted) {
+          throw abortError(controller.signal);
+        }
+        if (isCurrent()) {
+          const errorMessage = err.response?.data?.error || err.message || 'An error occurred';
+          setError(errorMessage);
+        }
+        throw err;
+      } finally {
+        if (isCurrent()) {
+          setLoading(false);
+          currentCallRef.current = null;
+        }
+      }
+    })();
+
+    return call.promise;
+  }, [apiFunction, dedupe, cancelCurrentCall]);
+
+  // Cancels the request in flight; its result is ignored
+  const abort = useCallback(() => {
+    cancelCurrentCall();
+    if (mountedRef.current) {
       setLoading(false);
     }
-  }, [apiFunction]);
+  }, [cancelCurrentCall]);
 
   const reset = useCallback(() => {
+    cancelCurrentCall();
     setData(null);
     setLoading(false);
     setError(null);
-  }, []);
+  }, [cancelCurrentCall]);
 
   return {
     data,
     loading,
     error,
     execute,
+    abort,
     reset
   };
 };
 
-export default useApi; 
\ No newline at end of file
+export default useApi;
@@ -0,0 +1,25 @@
+import { useState, useCallback } from 'react';
+
+// Applies a change to local state before the request that makes it and rolls
+// it back if the request fails. Each update brings its own rollback so several
+// can be in flight at once.
+const useOptimisticUpdate = () => {
+  const [error, setError] = useState(null);
+
+  const run = useCallback(async ({ apply, rollback, request }) => {
+    setError(null);
+    apply();
+
+    try {
+      return await request();
+    } catch (err) {
+      rollback();
+      setError(err.response?.data?.error || err.message || 'An error occurred');
+      return null;
+    }
+  }, []);
+
+  return { run, error };
+};
+
+export default useOptimisticUpdate;
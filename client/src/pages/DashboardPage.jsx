@@ -0,0 +1,88 @@
+import React, { useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import Button from '../components/Button';
+import Form from '../components/Form';
+import useApi from '../hooks/useApi';
+import { authApi } from '../api';
+import { useAuth } from '../context/AuthContext';
+
+const DashboardPage = () => {
+  const navigate = useNavigate();
+  const { user, updateUser, logout } = useAuth();
+  const [twoFactorSetup, setTwoFactorSetup] = useState(null);
+
+  const setupTwoFactorApi = useApi(authApi.setupTwoFactor);
+  const enableTwoFactorApi = useApi(authApi.enableTwoFactor);
+
+  const handleSetupTwoFactor = async () => {
+    try {
+      setTwoFactorSetup(await setupTwoFactorApi.execute());
+    } catch (error) {
+      // setupTwoFactorApi.error is shown below
+    }
+  };
+
+  const handleEnableTwoFactor = async ({ code }) => {
+    await enableTwoFactorApi.execute({ code: code.trim() });
+    updateUser({ ...user, twoFactorEnabled: true });
+    setTwoFactorSetup(null);
+  };
+
+  const handleLogout = () => {
+    logout();
+    navigate('/');
+  };
+
+  return (
+    <div data-testid="dashboard">
+      <h2>Welcome, {user.username}!</h2>
+      <p>You are successfully logged in.</p>
+      <p>
+        <Link to="/posts">Browse posts</Link> or <Link to="/posts/new">write a new one</Link>.
+      </p>
+
+      {user.twoFactorEnabled ? (
+        <p>Two-factor authentication is enabled.</p>
+      ) : !twoFactorSetup && (
+        <div>
+          <Button onClick={handleSetupTwoFactor} variant="primary" disabled={setupTwoFactorApi.loading}>
+            Enable two-factor authentication
+          </Button>
+          {setupTwoFactorApi.error && <p role="alert">{setupTwoFactorApi.error}</p>}
+        </div>
+      )}
+
+      {twoFactorSetup && (
+        <div>
+          <h2>Set Up Two-Factor Authentication</h2>
+          <p>Add this account to your authenticator app using the link below, then enter the code it shows.</p>
+          <p><code data-testid="otpauth-uri">{twoFactorSetup.otpauthUri}</code></p>
+          <p>Store these recovery codes somewhere safe. Each one can be used once if you lose your device:</p>
+          <ul data-testid="recovery-codes">
+            {twoFactorSetup.recoveryCodes.map(code => (
+              <li key={code}><code>{code}</code></li>
+            ))}
+          </ul>
+          <Form
+            fields={[
+              { name: 'code', label: 'Authentication code', type: 'text', validation: { required: true } }
+            ]}
+            submitText="Enable"
+            onSubmit={handleEnableTwoFactor}
+            loading={enableTwoFactorApi.loading}
+            error={enableTwoFactorApi.error}
+          />
+          <Button onClick={() => setTwoFactorSetup(null)} variant="secondary">
+            Cancel
+          </Button>
+        </div>
+      )}
+
+      <Button onClick={handleLogout} variant="danger" data-testid="logout-button">
+        Logout
+      </Button>
+    </div>
+  );
+};
+
+export default DashboardPage;
@@ -0,0 +1,30 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import Form from '../components/Form';
+import useApi from '../hooks/useApi';
+import { authApi } from '../api';
+import { emailField } from './authFields';
+
+const ForgotPasswordPage = () => {
+  const forgotPasswordApi = useApi(authApi.forgotPassword);
+
+  return (
+    <div>
+      <h2>Forgot Password</h2>
+      <p>Enter your email address and we will send you a link to reset your password.</p>
+      <Form
+        fields={[emailField]}
+        submitText="Send reset link"
+        onSubmit={forgotPasswordApi.execute}
+        loading={forgotPasswordApi.loading}
+        error={forgotPasswordApi.error}
+        success={forgotPasswordApi.data?.message}
+      />
+      <p>
+        <Link to="/login">Back to login</Link>
+      </p>
+    </div>
+  );
+};
+
+export default ForgotPasswordPage;
@@ -0,0 +1,44 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+
+const HomePage = () => {
+  const { user } = useAuth();
+
+  return (
+    <div>
+      <p>A simple testing and debugging application</p>
+
+      {user ? (
+        <Link to="/dashboard" className="button button-primary">
+          Go to dashboard
+        </Link>
+      ) : (
+        <div>
+          <Link to="/login" className="button button-primary">
+            Login
+          </Link>
+          <Link to="/register" className="button button-secondary">
+            Register
+          </Link>
+        </div>
+      )}
+
+      <p>
+        <Link to="/posts">Browse posts</Link>
+      </p>
+
+      <div>
+        <h3>Testing Features</h3>
+        <ul>
+          <li><strong>Unit Tests:</strong> Button, Form, and useApi hook components</li>
+          <li><strong>Integration Tests:</strong> API endpoints and database operations</li>
+          <li><strong>E2E Tests:</strong> Complete user workflows with Cypress</li>
+          <li><strong>Debugging:</strong> Error boundaries, logging, and monitoring</li>
+        </ul>
+      </div>
+    </div>
+  );
+};
+
+export default HomePage;
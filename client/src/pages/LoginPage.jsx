@@ -0,0 +1,81 @@
+import React, { useState } from 'react';
+import { Link, Navigate, useLocation } from 'react-router-dom';
+import Button from '../components/Button';
+import Form from '../components/Form';
+import useApi from '../hooks/useApi';
+import { useAuth } from '../context/AuthContext';
+import { emailField, passwordField } from './authFields';
+
+// Returns to the page ProtectedRoute redirected from, or the dashboard
+const redirectTarget = (from) => (from ? `${from.pathname}${from.search || ''}${from.hash || ''}` : '/dashboard');
+
+const LoginPage = () => {
+  const location = useLocation();
+  const { user, login, verifyTwoFactor } = useAuth();
+  const [challengeToken, setChallengeToken] = useState(null);
+
+  const loginApi = useApi(login);
+  const twoFactorApi = useApi(verifyTwoFactor);
+
+  if (user) {
+    return <Navigate to={redirectTarget(location.state?.from)} replace />;
+  }
+
+  const handleLogin = async (formData) => {
+    // Without two-factor authentication the session has started and the redirect above takes over
+    const result = await loginApi.execute(formData);
+    if (result.twoFactorRequired) {
+      setChallengeToken(result.challengeToken);
+    }
+  };
+
+  // Six digits are an authenticator code; anything else is tried as a recovery code
+  const handleTwoFactor = async ({ code }) => {
+    const value = code.trim();
+    const secondFactor = /^\d{6}$/.test(value) ? { code: value } : { recoveryCode: value };
+    await twoFactorApi.execute({ challengeToken, ...secondFactor });
+  };
+
+  if (challengeToken) {
+    return (
+      <div>
+        <h2>Two-Factor Authentication</h2>
+        <p>Enter the 6-digit code from your authenticator app, or one of your recovery codes.</p>
+        <Form
+          fields={[
+            { name: 'code', label: 'Authentication code', type: 'text', validation: { required: true } }
+          ]}
+          submitText="Verify"
+          onSubmit={handleTwoFactor}
+          loading={twoFactorApi.loading}
+          error={twoFactorApi.error}
+        />
+        <Button onClick={() => setChallengeToken(null)} variant="secondary">
+          Cancel
+        </Button>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <h2>Login</h2>
+      <Form
+        fields={[emailField, passwordField]}
+        submitText="Login"
+        onSubmit={handleLogin}
+        loading={loginApi.loading}
+        error={loginApi.error}
+        success={location.state?.message}
+      />
+      <p>
+        <Link to="/forgot-password">Forgot your password?</Link>
+      </p>
+      <p>
+        No account yet? <Link to="/register">Register</Link>
+      </p>
+    </div>
+  );
+};
+
+export default LoginPage;
@@ -0,0 +1,16 @@
+import React from 'react';
+import { Link, useLocation } from 'react-router-dom';
+
+const NotFoundPage = () => {
+  const location = useLocation();
+
+  return (
+    <div data-testid="not-found">
+      <h2>Page Not Found</h2>
+      <p>There is nothing at <code>{location.pathname}</code>.</p>
+      <Link to="/">Go to the home page</Link>
+    </div>
+  );
+};
+
+export default NotFoundPage;
@@ -0,0 +1,94 @@
+import React, { useEffect, useState } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import PostControls from '../components/PostControls';
+import useApi from '../hooks/useApi';
+import useOptimisticUpdate from '../hooks/useOptimisticUpdate';
+import { postsApi } from '../api';
+import { useAuth } from '../context/AuthContext';
+import { canManagePost, canUnpublishPost, formatDate, isPublished } from '../utils/posts';
+
+const PostDetailPage = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { user } = useAuth();
+
+  const { execute: loadPost, loading, error } = useApi(postsApi.getPost);
+  const deletePostApi = useApi(postsApi.deletePost);
+  const { run, error: actionError } = useOptimisticUpdate();
+  const [post, setPost] = useState(null);
+
+  useEffect(() => {
+    loadPost(id)
+      .then(result => setPost(result.post))
+      .catch(() => {});
+  }, [loadPost, id]);
+
+  const handleTogglePublished = current => run({
+    apply: () => setPost(prev => ({ ...prev, status: isPublished(current) ? 'draft' : 'published' })),
+    rollback: () => setPost(prev => ({ ...prev, status: current.status })),
+    request: async () => {
+      const result = isPublished(current)
+        ? await postsApi.unpublishPost(current._id)
+        : await postsApi.publishPost(current._id);
+      setPost(result.post);
+    }
+  });
+
+  // Waits for the server before leaving, so a failure can still be shown here
+  const handleDelete = async (current) => {
+    if (!window.confirm(`Delete "${current.title}"?`)) {
+      return;
+    }
+
+    try {
+      await deletePostApi.execute(current._id);
+      navigate('/posts', { replace: true });
+    } catch (err) {
+      // deletePostApi.error is shown below
+    }
+  };
+
+  if (error) {
+    return (
+      <div>
+        <p className="error" role="alert">{error}</p>
+        <Link to="/posts">Back to posts</Link>
+      </div>
+    );
+  }
+
+  if (loading || !post) {
+    return <p className="loading" data-testid="loading">Loading post...</p>;
+  }
+
+  return (
+    <article data-testid="post-detail">
+      <h2>{post.title}</h2>
+      <p className="post-meta">
+        {formatDate(post.createdAt)}
+        {!isPublished(post) && <span className="post-status"> · {post.status}</span>}
+      </p>
+      {post.tags.length > 0 && (
+        <ul className="post-tags">
+          {post.tags.map(tag => <li key={tag}>{tag}</li>)}
+        </ul>
+      )}
+      <div className="post-content">{post.content}</div>
+
+      {(actionError || deletePostApi.error) && (
+        <p className="error" role="alert">{actionError || deletePostApi.error}</p>
+      )}
+      <PostControls
+        post={post}
+        canManage={canManagePost(user, post)}
+        canUnpublish={canUnpublishPost(user, post)}
+        onTogglePublished={handleTogglePublished}
+        onDelete={handleDelete}
+      />
+
+      <Link to="/posts">Back to posts</Link>
+    </article>
+  );
+};
+
+export default PostDetailPage;
@@ -0,0 +1,121 @@
+import React, { useEffect, useState } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import Form from '../components/Form';
+import useApi from '../hooks/useApi';
+import { postsApi, categoriesApi } from '../api';
+import { useAuth } from '../context/AuthContext';
+import { canManagePost, toFormData, toPostPayload } from '../utils/posts';
+
+const NEW_POST = { status: 'published' };
+
+const postFields = categories => [
+  {
+    name: 'title',
+    label: 'Title',
+    type: 'text',
+    validation: { required: true, minLength: 3 }
+  },
+  {
+    name: 'content',
+    label: 'Content',
+    type: 'textarea',
+    validation: { required: true, minLength: 10 }
+  },
+  {
+    name: 'category',
+    label: 'Category',
+    type: 'select',
+    options: categories.map(category => ({ value: category._id, label: category.name }))
+  },
+  {
+    name: 'tags',
+    label: 'Tags (comma-separated)',
+    type: 'text'
+  },
+  {
+    name: 'status',
+    label: 'Status',
+    type: 'select',
+    options: [
+      { value: 'published', label: 'Published' },
+      { value: 'draft', label: 'Draft' }
+    ]
+  }
+];
+
+// Creates a post at /posts/new and edits one at /posts/:id/edit
+const PostEditorPage = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const isEditing = Boolean(id);
+
+  const { execute: loadCategories, data: categoriesData } = useApi(categoriesApi.listCategories);
+  const { execute: loadPost, loading: loadingPost, error: loadError } = useApi(postsApi.getPost);
+  const saveApi = useApi(isEditing ? postsApi.updatePost : postsApi.createPost);
+  const [post, setPost] = useState(null);
+
+  useEffect(() => {
+    loadCategories().catch(() => {});
+  }, [loadCategories]);
+
+  useEffect(() => {
+    if (isEditing) {
+      loadPost(id)
+        .then(result => setPost(result.post))
+        .catch(() => {});
+    }
+  }, [loadPost, id, isEditing]);
+
+  const initialData = post ? toFormData(post) : NEW_POST;
+
+  const handleSubmit = async (formData) => {
+    const payload = toPostPayload(formData);
+    // Scheduled and archived posts show as drafts; keep their status unless it was changed
+    if (isEditing && formData.status === initialData.status) {
+      delete payload.status;
+    }
+
+    const result = isEditing ? await saveApi.execute(id, payload) : await saveApi.execute(payload);
+    navigate(`/posts/${result.post._id}`);
+  };
+
+  if (isEditing && loadError) {
+    return (
+      <div>
+        <p className="error" role="alert">{loadError}</p>
+        <Link to="/posts">Back to posts</Link>
+      </div>
+    );
+  }
+
+  if (isEditing && (loadingPost || !post)) {
+    return <p className="loading" data-testid="loading">Loading post...</p>;
+  }
+
+  if (isEditing && !canManagePost(user, post)) {
+    return (
+      <div>
+        <p className="error" role="alert">You can only edit your own posts.</p>
+        <Link to={`/posts/${id}`}>Back to the post</Link>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <h2>{isEditing ? 'Edit Post' : 'New Post'}</h2>
+      <Form
+        fields={postFields(categoriesData?.categories || [])}
+        initialData={initialData}
+        submitText={isEditing ? 'Save changes' : 'Create post'}
+        onSubmit={handleSubmit}
+        loading={saveApi.loading}
+        error={saveApi.error}
+      />
+      <Link to={isEditing ? `/posts/${id}` : '/posts'}>Cancel</Link>
+    </div>
+  );
+};
+
+export default PostEditorPage;
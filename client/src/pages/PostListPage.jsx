@@ -0,0 +1,112 @@
+import React, { useEffect, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import Button from '../components/Button';
+import PostControls from '../components/PostControls';
+import useApi from '../hooks/useApi';
+import useOptimisticUpdate from '../hooks/useOptimisticUpdate';
+import { postsApi } from '../api';
+import { useAuth } from '../context/AuthContext';
+import { canManagePost, canUnpublishPost, excerpt, formatDate, isPublished } from '../utils/posts';
+
+const PAGE_SIZE = 10;
+
+const PostListPage = () => {
+  const { user } = useAuth();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const page = Math.max(parseInt(searchParams.get('page'), 10) || 1, 1);
+
+  const { execute: loadPosts, data, loading, error } = useApi(postsApi.listPosts);
+  const { run, error: actionError } = useOptimisticUpdate();
+  const [posts, setPosts] = useState([]);
+
+  useEffect(() => {
+    loadPosts({ page, limit: PAGE_SIZE })
+      .then(result => setPosts(result.posts))
+      .catch(() => {});
+  }, [loadPosts, page]);
+
+  const updateLocalPost = (id, changes) => {
+    setPosts(current => current.map(post => (post._id === id ? { ...post, ...changes } : post)));
+  };
+
+  const handleTogglePublished = post => run({
+    apply: () => updateLocalPost(post._id, { status: isPublished(post) ? 'draft' : 'published' }),
+    rollback: () => updateLocalPost(post._id, { status: post.status }),
+    request: async () => {
+      const result = isPublished(post)
+        ? await postsApi.unpublishPost(post._id)
+        : await postsApi.publishPost(post._id);
+      updateLocalPost(post._id, result.post);
+    }
+  });
+
+  const handleDelete = (post) => {
+    if (!window.confirm(`Delete "${post.title}"?`)) {
+      return null;
+    }
+
+    const index = posts.findIndex(item => item._id === post._id);
+    return run({
+      apply: () => setPosts(current => current.filter(item => item._id !== post._id)),
+      rollback: () => setPosts(current => [...current.slice(0, index), post, ...current.slice(index)]),
+      request: () => postsApi.deletePost(post._id)
+    });
+  };
+
+  const goToPage = (nextPage) => {
+    setSearchParams(nextPage > 1 ? { page: String(nextPage) } : {});
+  };
+
+  const totalPages = data?.pages || 1;
+
+  return (
+    <div data-testid="post-list">
+      <h2>Posts</h2>
+      {user && (
+        <Link to="/posts/new" className="button button-primary">
+          New post
+        </Link>
+      )}
+
+      {error && <p className="error" role="alert">{error}</p>}
+      {actionError && <p className="error" role="alert">{actionError}</p>}
+      {loading && <p className="loading" data-testid="loading">Loading posts...</p>}
+
+      {!loading && !error && posts.length === 0 && <p>No posts yet.</p>}
+
+      {posts.map(post => (
+        <article key={post._id} className="post-card" data-testid="post-item">
+          <h3>
+            <Link to={`/posts/${post._id}`}>{post.title}</Link>
+          </h3>
+          <p className="post-meta">
+            {formatDate(post.createdAt)}
+            {!isPublished(post) && <span className="post-status"> · {post.status}</span>}
+          </p>
+          <p>{excerpt(post.content)}</p>
+          <PostControls
+            post={post}
+            canManage={canManagePost(user, post)}
+            canUnpublish={canUnpublishPost(user, post)}
+            onTogglePublished={handleTogglePublished}
+            onDelete={handleDelete}
+          />
+        </article>
+      ))}
+
+      {totalPages > 1 && (
+        <nav className="pagination" aria-label="Pagination">
+          <Button onClick={() => goToPage(page - 1)} variant="secondary" disabled={page <= 1 || loading}>
+            Previous
+          </Button>
+          <span data-testid="page-indicator">Page {page} of {totalPages}</span>
+          <Button onClick={() => goToPage(page + 1)} variant="secondary" disabled={page >= totalPages || loading}>
+            Next
+          </Button>
+        </nav>
+      )}
+    </div>
+  );
+};
+
+export default PostListPage;
@@ -0,0 +1,40 @@
+import React from 'react';
+import { Link, Navigate, useNavigate } from 'react-router-dom';
+import Form from '../components/Form';
+import useApi from '../hooks/useApi';
+import { useAuth } from '../context/AuthContext';
+import { usernameField, emailField, newPasswordField, confirmPasswordField } from './authFields';
+
+const RegisterPage = () => {
+  const navigate = useNavigate();
+  const { user, register } = useAuth();
+  const registerApi = useApi(register);
+
+  if (user) {
+    return <Navigate to="/dashboard" replace />;
+  }
+
+  const handleRegister = async (formData) => {
+    const result = await registerApi.execute(formData);
+    const message = ['User registered successfully.', result.message || 'Please log in.'].join(' ');
+    navigate('/login', { state: { message } });
+  };
+
+  return (
+    <div>
+      <h2>Register</h2>
+      <Form
+        fields={[usernameField, emailField, newPasswordField, confirmPasswordField]}
+        submitText="Register"
+        onSubmit={handleRegister}
+        loading={registerApi.loading}
+        error={registerApi.error}
+      />
+      <p>
+        Already registered? <Link to="/login">Login</Link>
+      </p>
+    </div>
+  );
+};
+
+export default RegisterPage;
@@ -0,0 +1,43 @@
+import React from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import Form from '../components/Form';
+import useApi from '../hooks/useApi';
+import { authApi } from '../api';
+import { newPasswordField, confirmPasswordField } from './authFields';
+
+// Opened from the link in the password reset email (/reset-password?token=...)
+const ResetPasswordPage = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const resetPasswordApi = useApi(authApi.resetPassword);
+
+  if (!token) {
+    return (
+      <div>
+        <h2>Reset Password</h2>
+        <p>This reset link is invalid. <Link to="/forgot-password">Request a new one</Link>.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <h2>Reset Password</h2>
+      {resetPasswordApi.data ? (
+        <p>
+          {resetPasswordApi.data.message}. <Link to="/login">Log in</Link> with your new password.
+        </p>
+      ) : (
+        <Form
+          fields={[{ ...newPasswordField, label: 'New Password' }, confirmPasswordField]}
+          submitText="Reset password"
+          onSubmit={({ password }) => resetPasswordApi.execute({ token, password })}
+          loading={resetPasswordApi.loading}
+          error={resetPasswordApi.error}
+        />
+      )}
+    </div>
+  );
+};
+
+export default ResetPasswordPage;
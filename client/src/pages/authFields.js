@@ -0,0 +1,54 @@
+// Field definitions shared by the auth pages. The rules mirror the server's,
+// so most mistakes are caught before a request is made.
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export const emailField = {
+  name: 'email',
+  label: 'Email',
+  type: 'email',
+  validation: { required: true, pattern: EMAIL_PATTERN, errorMessage: 'Please enter a valid email address' }
+};
+
+// For logging in, where any existing password must be accepted
+export const passwordField = {
+  name: 'password',
+  label: 'Password',
+  type: 'password',
+  validation: { required: true }
+};
+
+export const usernameField = {
+  name: 'username',
+  label: 'Username',
+  type: 'text',
+  validation: {
+    required: true,
+    minLength: 3,
+    maxLength: 30,
+    pattern: /^[a-zA-Z0-9_]+$/,
+    errorMessage: 'Username can only contain letters, numbers, and underscores'
+  }
+};
+
+const checkPasswordStrength = (value) => {
+  if (!/[A-Z]/.test(value)) return 'Password must contain at least one uppercase letter';
+  if (!/[0-9]/.test(value)) return 'Password must contain at least one number';
+  if (!/[!@#$%^&*]/.test(value)) return 'Password must contain at least one special character (!@#$%^&*)';
+  return null;
+};
+
+export const newPasswordField = {
+  ...passwordField,
+  validation: { required: true, minLength: 6, custom: checkPasswordStrength }
+};
+
+export const confirmPasswordField = {
+  name: 'confirmPassword',
+  label: 'Confirm Password',
+  type: 'password',
+  validation: {
+    required: true,
+    custom: (value, formData) => (value === formData.password ? null : 'The passwords do not match')
+  }
+};
@@ -0,0 +1,200 @@
+// client/src/tests/unit/AuthContext.test.jsx - Unit tests for the AuthProvider session handling
+
+import React from 'react';
+import { render, screen, act, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import { AuthProvider, useAuth } from '../../context/AuthContext';
+import * as authApi from '../../api/auth';
+import apiClient from '../../api/client';
+
+jest.mock('../../api/auth');
+
+// Unsigned token with the given exp claim, enough for the client to read
+const createToken = expiresInSeconds => [
+  'header',
+  btoa(JSON.stringify({ id: 'u1', exp: Math.floor(Date.now() / 1000) + expiresInSeconds })),
+  'signature'
+].join('.');
+
+const storeSession = ({ token = createToken(900), refreshToken, user = { username: 'testuser' } } = {}) => {
+  window.localStorage.setItem('token', token);
+  if (refreshToken) window.localStorage.setItem('refreshToken', refreshToken);
+  window.localStorage.setItem('user', JSON.stringify(user));
+};
+
+const Status = () => {
+  const { user, login, logout } = useAuth();
+
+  return (
+    <div>
+      <span data-testid="status">{user ? `Signed in as ${user.username}` : 'Signed out'}</span>
+      <button onClick={() => login({ email: 'test@example.com', password: 'TestPass123!' })}>login</button>
+      <button onClick={logout}>logout</button>
+    </div>
+  );
+};
+
+const renderProvider = () => render(<AuthProvider><Status /></AuthProvider>);
+
+describe('AuthProvider', () => {
+  const originalAdapter = apiClient.defaults.adapter;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    window.localStorage.clear();
+    authApi.logout.mockResolvedValue({ success: true });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    apiClient.defaults.adapter = originalAdapter;
+  });
+
+  describe('Hydration', () => {
+    it('restores the session from localStorage', () => {
+      storeSession();
+
+      renderProvider();
+
+      expect(screen.getByTestId('status')).toHaveTextContent('Signed in as testuser');
+    });
+
+    it('ignores a stored user without a token', () => {
+      window.localStorage.setItem('user', JSON.stringify({ username: 'testuser' }));
+
+      renderProvider();
+
+      expect(screen.getByTestId('status')).toHaveTextContent('Signed out');
+    });
+
+    it('ignores an expired token that cannot be refreshed', () => {
+      storeSession({ token: createToken(-60) });
+
+      renderProvider();
+
+      expect(screen.getByTestId('status')).toHaveTextContent('Signed out');
+    });
+  });
+
+  describe('Login and logout', () => {
+    it('stores the session on login', async () => {
+      authApi.login.mockResolvedValue({ success: true, token: 'new-token', refreshToken: 'refresh', user: { username: 'newuser' } });
+      renderProvider();
+
+      await act(async () => {
+        fireEvent.click(screen.getByText('login'));
+      });
+
+      expect(screen.getByTestId('status')).toHaveTextContent('Signed in as newuser');
+      expect(window.localStorage.getItem('token')).toBe('new-token');
+      expect(window.localStorage.getItem('refreshToken')).toBe('refresh');
+    });
+
+    it('does not start a session while a second factor is required', async () => {
+      authApi.login.mockResolvedValue({ success: true, twoFactorRequired: true, challengeToken: 'challenge' });
+      renderProvider();
+
+      await act(async () => {
+        fireEvent.click(screen.getByText('login'));
+      });
+
+      expect(screen.getByTestId('status')).toHaveTextContent('Signed out');
+      expect(window.localStorage.getItem('token')).toBeNull();
+    });
+
+    it('clears the session and revokes the refresh token on logout', () => {
+      storeSession({ refreshToken: 'refresh' });
+      renderProvider();
+
+      fireEvent.click(screen.getByText('logout'));
+
+      expect(screen.getByTestId('status')).toHaveTextContent('Signed out');
+      expect(window.localStorage.getItem('token')).toBeNull();
+      expect(authApi.logout).toHaveBeenCalledWith('refresh');
+    });
+  });
+
+  describe('Session end', () => {
+    it('logs out when another tab logs out', () => {
+      storeSession();
+      renderProvider();
+
+      act(() => {
+        window.localStorage.clear();
+        window.dispatchEvent(new StorageEvent('storage', { key: 'token', newValue: null }));
+      });
+
+      expect(screen.getByTestId('status')).toHaveTextContent('Signed out');
+    });
+
+    it('logs out when the token expires and there is no refresh token', async () => {
+      jest.useFakeTimers();
+      storeSession({ token: createToken(60) });
+      renderProvider();
+
+      await act(async () => {
+        jest.advanceTimersByTime(61 * 1000);
+      });
+
+      expect(screen.getByTestId('status')).toHaveTextContent('Signed out');
+    });
+
+    it('refreshes a rejected token and retries the request', async () => {
+      storeSession({ token: 'old-token', refreshToken: 'refresh' });
+      apiClient.defaults.adapter = (config) => {
+        if (config.url === '/auth/refresh') {
+          const data = { success: true, token: 'new-token', refreshToken: 'new-refresh', user: { username: 'testuser' } };
+          return Promise.resolve({ status: 200, data, headers: {}, config });
+        }
+        if (config.headers.Authorization === 'Bearer new-token') {
+          return Promise.resolve({ status: 200, data: { success: true }, headers: {}, config });
+        }
+        return Promise.reject(Object.assign(new Error('Unauthorized'), {
+          config,
+          response: { status: 401, data: { error: 'Invalid or expired token', code: 'INVALID_TOKEN' }, headers: {}, config }
+        }));
+      };
+      renderProvider();
+
+      let response;
+      await act(async () => {
+        response = await apiClient.get('/auth/me');
+      });
+
+      expect(response.data).toEqual({ success: true });
+      expect(window.localStorage.getItem('token')).toBe('new-token');
+      expect(window.localStorage.getItem('refreshToken')).toBe('new-refresh');
+      expect(screen.getByTestId('status')).toHaveTextContent('Signed in as testuser');
+    });
+
+    it('logs out when the server rejects the token and it cannot be refreshed', async () => {
+      storeSession();
+      apiClient.defaults.adapter = config => Promise.reject(Object.assign(new Error('Unauthorized'), {
+        config,
+        response: { status: 401, data: { error: 'Invalid or expired token', code: 'INVALID_TOKEN' }, headers: {}, config }
+      }));
+      renderProvider();
+
+      await act(async () => {
+        await apiClient.get('/auth/me').catch(() => {});
+      });
+
+      expect(screen.getByTestId('status')).toHaveTextContent('Signed out');
+    });
+
+    it('keeps the session when a login attempt is rejected', async () => {
+      storeSession();
+      apiClient.defaults.adapter = config => Promise.reject(Object.assign(new Error('Unauthorized'), {
+        config,
+        response: { status: 401, data: { error: 'Invalid credentials', code: 'INVALID_CREDENTIALS' }, headers: {}, config }
+      }));
+      renderProvider();
+
+      await act(async () => {
+        await apiClient.post('/auth/login', {}).catch(() => {});
+      });
+
+      expect(screen.getByTestId('status')).toHaveTextContent('Signed in as testuser');
+    });
+  });
+});
@@ -0,0 +1,135 @@
+// client/src/tests/unit/PostListPage.test.jsx - Unit tests for the post feed
+
+import React from 'react';
+import { render, screen, fireEvent, waitFor, within } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import { MemoryRouter, Routes, Route } from 'react-router-dom';
+import PostListPage from '../../pages/PostListPage';
+import { AuthProvider } from '../../context/AuthContext';
+import { listPosts, deletePost, unpublishPost } from '../../api/posts';
+
+jest.mock('../../api/posts');
+
+const createPost = (id, overrides = {}) => ({
+  _id: id,
+  title: `Post ${id}`,
+  content: 'Some content for this post',
+  author: 'u1',
+  status: 'published',
+  tags: [],
+  createdAt: '2024-01-01T00:00:00.000Z',
+  ...overrides
+});
+
+const renderPage = (path = '/posts') => render(
+  <MemoryRouter initialEntries={[path]}>
+    <AuthProvider>
+      <Routes>
+        <Route path="/posts" element={<PostListPage />} />
+      </Routes>
+    </AuthProvider>
+  </MemoryRouter>
+);
+
+describe('PostListPage', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    window.localStorage.clear();
+    window.localStorage.setItem('token', 'token');
+    window.localStorage.setItem('user', JSON.stringify({ id: 'u1', username: 'author', role: 'user' }));
+    window.confirm = jest.fn(() => true);
+  });
+
+  it('lists posts with controls only on the user\'s own posts', async () => {
+    listPosts.mockResolvedValue({
+      success: true,
+      posts: [createPost('p1'), createPost('p2', { author: 'u2', title: 'Don\'t panic' })],
+      total: 2,
+      page: 1,
+      pages: 1
+    });
+
+    renderPage();
+
+    const items = await screen.findAllByTestId('post-item');
+    expect(items).toHaveLength(2);
+    expect(within(items[0]).getByTestId('post-controls')).toBeInTheDocument();
+    expect(within(items[1]).queryByTestId('post-controls')).not.toBeInTheDocument();
+    expect(within(items[1]).getByText("Don't panic")).toBeInTheDocument();
+    expect(listPosts).toHaveBeenCalledWith({ page: 1, limit: 10 });
+  });
+
+  it('only offers moderators unpublishing on other users\' published posts', async () => {
+    window.localStorage.setItem('user', JSON.stringify({ id: 'u3', username: 'moderator', role: 'moderator' }));
+    listPosts.mockResolvedValue({
+      success: true,
+      posts: [createPost('p1'), createPost('p2', { status: 'draft' })],
+      total: 2,
+      page: 1,
+      pages: 1
+    });
+
+    renderPage();
+
+    const items = await screen.findAllByTestId('post-item');
+    const controls = within(items[0]).getByTestId('post-controls');
+    expect(within(controls).getByText('Unpublish')).toBeInTheDocument();
+    expect(within(controls).queryByText('Edit')).not.toBeInTheDocument();
+    expect(within(controls).queryByText('Delete')).not.toBeInTheDocument();
+    expect(within(items[1]).queryByTestId('post-controls')).not.toBeInTheDocument();
+  });
+
+  it('loads the page from the URL and moves between pages', async () => {
+    listPosts.mockResolvedValue({ success: true, posts: [createPost('p1')], total: 25, page: 2, pages: 3 });
+
+    renderPage('/posts?page=2');
+
+    expect(await screen.findByTestId('page-indicator')).toHaveTextContent('Page 2 of 3');
+    expect(listPosts).toHaveBeenCalledWith({ page: 2, limit: 10 });
+
+    fireEvent.click(screen.getByText('Next'));
+
+    await waitFor(() => expect(listPosts).toHaveBeenCalledWith({ page: 3, limit: 10 }));
+  });
+
+  it('removes a deleted post before the server answers', async () => {
+    let resolveDelete;
+    deletePost.mockReturnValue(new Promise((resolve) => { resolveDelete = resolve; }));
+    listPosts.mockResolvedValue({ success: true, posts: [createPost('p1'), createPost('p2')], total: 2, page: 1, pages: 1 });
+    renderPage();
+    await screen.findAllByTestId('post-item');
+
+    fireEvent.click(screen.getAllByTestId('delete-post')[0]);
+
+    expect(screen.getAllByTestId('post-item')).toHaveLength(1);
+    expect(deletePost).toHaveBeenCalledWith('p1');
+    resolveDelete({ success: true });
+    await waitFor(() => expect(screen.getAllByTestId('post-item')).toHaveLength(1));
+  });
+
+  it('restores a post when deleting fails', async () => {
+    deletePost.mockRejectedValue({ response: { data: { error: 'Not authorized to modify this post' } } });
+    listPosts.mockResolvedValue({ success: true, posts: [createPost('p1'), createPost('p2')], total: 2, page: 1, pages: 1 });
+    renderPage();
+    await screen.findAllByTestId('post-item');
+
+    fireEvent.click(screen.getAllByTestId('delete-post')[0]);
+
+    expect(await screen.findByText('Not authorized to modify this post')).toBeInTheDocument();
+    const items = screen.getAllByTestId('post-item');
+    expect(items).toHaveLength(2);
+    expect(within(items[0]).getByText('Post p1')).toBeInTheDocument();
+  });
+
+  it('shows the new status straight away when unpublishing', async () => {
+    unpublishPost.mockReturnValue(new Promise(() => {}));
+    listPosts.mockResolvedValue({ success: true, posts: [createPost('p1')], total: 1, page: 1, pages: 1 });
+    renderPage();
+    await screen.findAllByTestId('post-item');
+
+    fireEvent.click(screen.getByText('Unpublish'));
+
+    expect(screen.getByText('Publish')).toBeInTheDocument();
+    expect(screen.getByText(/draft/)).toBeInTheDocument();
+  });
+});
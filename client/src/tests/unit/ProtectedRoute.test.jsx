@@ -0,0 +1,71 @@
+// client/src/tests/unit/ProtectedRoute.test.jsx - Unit tests for ProtectedRoute and the redirect back after login
+
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import { MemoryRouter, Routes, Route } from 'react-router-dom';
+import ProtectedRoute from '../../components/ProtectedRoute';
+import LoginPage from '../../pages/LoginPage';
+import { AuthProvider } from '../../context/AuthContext';
+import { login } from '../../api/auth';
+
+jest.mock('../../api/auth');
+
+const renderAt = path => render(
+  <MemoryRouter initialEntries={[path]}>
+    <AuthProvider>
+      <Routes>
+        <Route path="/login" element={<LoginPage />} />
+        <Route path="/dashboard" element={<ProtectedRoute><div data-testid="dashboard" /></ProtectedRoute>} />
+        <Route path="/settings" element={<ProtectedRoute><div data-testid="settings" /></ProtectedRoute>} />
+      </Routes>
+    </AuthProvider>
+  </MemoryRouter>
+);
+
+const submitLogin = () => {
+  fireEvent.change(screen.getByTestId('input-email'), { target: { value: 'test@example.com' } });
+  fireEvent.change(screen.getByTestId('input-password'), { target: { value: 'TestPass123!' } });
+  fireEvent.click(screen.getByTestId('submit-button'));
+};
+
+describe('ProtectedRoute', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    window.localStorage.clear();
+    login.mockResolvedValue({ success: true, token: 'token', user: { username: 'testuser' } });
+  });
+
+  it('renders its children for a signed-in user', () => {
+    window.localStorage.setItem('token', 'token');
+    window.localStorage.setItem('user', JSON.stringify({ username: 'testuser' }));
+
+    renderAt('/dashboard');
+
+    expect(screen.getByTestId('dashboard')).toBeInTheDocument();
+  });
+
+  it('redirects signed-out visitors to the login page', () => {
+    renderAt('/dashboard');
+
+    expect(screen.queryByTestId('dashboard')).not.toBeInTheDocument();
+    expect(screen.getByTestId('input-email')).toBeInTheDocument();
+  });
+
+  it('returns to the requested page after login', async () => {
+    renderAt('/settings');
+
+    submitLogin();
+
+    expect(await screen.findByTestId('settings')).toBeInTheDocument();
+    expect(login).toHaveBeenCalledWith({ email: 'test@example.com', password: 'TestPass123!' });
+  });
+
+  it('goes to the dashboard after a direct visit to the login page', async () => {
+    renderAt('/login');
+
+    submitLogin();
+
+    expect(await screen.findByTestId('dashboard')).toBeInTheDocument();
+  });
+});
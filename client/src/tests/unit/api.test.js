@@ -0,0 +1,103 @@
+// client/src/tests/unit/api.test.js - Unit tests for the API client
+
+import apiClient, { toApiError, runWithSignal } from '../../api/client';
+import { login } from '../../api/auth';
+import { listPosts } from '../../api/posts';
+import { getToken } from '../../api/session';
+
+jest.mock('../../api/session', () => ({ getToken: jest.fn() }));
+
+// Answers requests without the network and records what was sent
+const respondWith = (status, data) => jest.fn(config => {
+  const response = { status, data, headers: {}, config, statusText: '' };
+  if (status >= 400) {
+    return Promise.reject(Object.assign(new Error(`Request failed with status code ${status}`), { config, response }));
+  }
+  return Promise.resolve(response);
+});
+
+describe('API client', () => {
+  const originalAdapter = apiClient.defaults.adapter;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    apiClient.defaults.adapter = originalAdapter;
+  });
+
+  describe('Authorization', () => {
+    it('should send the stored token as a Bearer header', async () => {
+      getToken.mockReturnValue('stored-token');
+      const adapter = respondWith(200, { success: true, posts: [] });
+      apiClient.defaults.adapter = adapter;
+
+      await listPosts({ page: 2 });
+
+      const [config] = adapter.mock.calls[0];
+      expect(config.headers.Authorization).toBe('Bearer stored-token');
+      expect(config.params).toEqual({ page: 2 });
+    });
+
+    it('should not send a header without a token', async () => {
+      getToken.mockReturnValue(null);
+      const adapter = respondWith(200, { success: true });
+      apiClient.defaults.adapter = adapter;
+
+      await login({ email: 'test@example.com', password: 'TestPass123!' });
+
+      const [config] = adapter.mock.calls[0];
+      expect(config.headers.Authorization).toBeUndefined();
+    });
+  });
+
+  describe('Cancellation', () => {
+    it('should attach the signal given to runWithSignal to requests', async () => {
+      const adapter = respondWith(200, { success: true, posts: [] });
+      apiClient.defaults.adapter = adapter;
+      const controller = new AbortController();
+
+      await runWithSignal(controller.signal, () => listPosts());
+      await listPosts();
+
+      expect(adapter.mock.calls[0][0].signal).toBe(controller.signal);
+      expect(adapter.mock.calls[1][0].signal).toBeUndefined();
+    });
+  });
+
+  describe('Responses', () => {
+    it('should resolve to the response body', async () => {
+      apiClient.defaults.adapter = respondWith(200, { success: true, token: 'abc' });
+
+      await expect(login({ email: 'test@example.com', password: 'x' })).resolves.toEqual({ success: true, token: 'abc' });
+    });
+
+    it('should keep the server error message and code', async () => {
+      apiClient.defaults.adapter = respondWith(401, { error: 'Invalid credentials', code: 'INVALID_CREDENTIALS' });
+
+      const error = await login({ email: 'test@example.com', password: 'x' }).catch(err => err);
+
+      expect(error.message).toBe('Invalid credentials');
+      expect(error.response.status).toBe(401);
+      expect(error.response.data).toEqual({ error: 'Invalid credentials', code: 'INVALID_CREDENTIALS' });
+    });
+  });
+
+  describe('toApiError', () => {
+    it('should describe network failures', () => {
+      const error = toApiError(new Error('Network Error'));
+
+      expect(error.message).toBe('Network error');
+      expect(error.response.status).toBe(0);
+      expect(error.response.data).toEqual({ error: 'Network error', code: 'NETWORK_ERROR' });
+    });
+
+    it('should describe responses without an error message', () => {
+      const error = toApiError(Object.assign(new Error('fail'), { response: { status: 502, data: '<html>' } }));
+
+      expect(error.response.data.error).toBe('Request failed with status 502');
+      expect(error.response.status).toBe(502);
+    });
+  });
+});
@@ -0,0 +1,63 @@
+// client/src/tests/unit/posts.test.js - Unit tests for the post helpers
+
+import { canManagePost, canUnpublishPost, toFormData, toPostPayload } from '../../utils/posts';
+
+describe('post helpers', () => {
+  const post = { _id: 'p1', author: 'u1', status: 'published', tags: [] };
+
+  describe('permissions', () => {
+    it('lets authors and admins manage and unpublish posts', () => {
+      const author = { id: 'u1', role: 'user' };
+      const admin = { id: 'u2', role: 'admin' };
+
+      [author, admin].forEach((user) => {
+        expect(canManagePost(user, post)).toBe(true);
+        expect(canUnpublishPost(user, post)).toBe(true);
+      });
+    });
+
+    it('lets moderators unpublish but not manage other users\' posts', () => {
+      const moderator = { id: 'u3', role: 'moderator' };
+
+      expect(canManagePost(moderator, post)).toBe(false);
+      expect(canUnpublishPost(moderator, post)).toBe(true);
+    });
+
+    it('gives other users and visitors no permissions', () => {
+      [{ id: 'u4', role: 'user' }, null].forEach((user) => {
+        expect(canManagePost(user, post)).toBe(false);
+        expect(canUnpublishPost(user, post)).toBe(false);
+      });
+    });
+  });
+
+  describe('toPostPayload', () => {
+    const formData = { title: 'Title', content: 'Some content', tags: 'react, , testing ', status: 'draft' };
+
+    it('splits tags and keeps the chosen category', () => {
+      expect(toPostPayload({ ...formData, category: 'c1' })).toEqual({
+        title: 'Title',
+        content: 'Some content',
+        category: 'c1',
+        tags: ['react', 'testing'],
+        status: 'draft'
+      });
+    });
+
+    it('sends null when the category selection is emptied', () => {
+      expect(toPostPayload({ ...formData, category: '' }).category).toBeNull();
+    });
+
+    it('round-trips a post through the form values unchanged', () => {
+      const stored = { ...post, title: 'Tom & "Jerry"', content: 'a < b', category: 'c1', tags: ['r&d'] };
+
+      expect(toPostPayload(toFormData(stored))).toEqual({
+        title: 'Tom & "Jerry"',
+        content: 'a < b',
+        category: 'c1',
+        tags: ['r&d'],
+        status: 'published'
+      });
+    });
+  });
+});
@@ -2,6 +2,12 @@
 
 import { renderHook, act } from '@testing-library/react';
 import useApi from '../../hooks/useApi';
+import { runWithSignal } from '../../api/client';
+
+// API functions are called through runWithSignal, which hands the signal to axios
+jest.mock('../../api/client', () => ({
+  runWithSignal: jest.fn((signal, fn) => fn())
+}));
 
 describe('useApi Hook', () => {
   const mockApiFunction = jest.fn();
@@ -19,6 +25,7 @@ describe('useApi Hook', () => {
       expect(result.current.error).toBe(null);
       expect(typeof result.current.execute).toBe('function');
       expect(typeof result.current.reset).toBe('function');
+      expect(typeof result.current.abort).toBe('function');
     });
   });
 
@@ -304,4 +311,164 @@ describe('useApi Hook', () => {
       expect(result.current.reset).toBe(firstReset);
     });
   });
+  describe('Cancellation and Races', () => {
+    const deferred = () => {
+      let resolve;
+      let reject;
+      const promise = new Promise((res, rej) => {
+        resolve = res;
+        reject = rej;
+      });
+      return { promise, resolve, reject };
+    };
+
+    it('should abort the previous request when a new call starts', async () => {
+      mockApiFunction.mockReturnValue(new Promise(() => {}));
+
+      const { result } = renderHook(() => useApi(mockApiFunction));
+
+      let first;
+      act(() => {
+        first = result.current.execute('first');
+      });
+      act(() => {
+        result.current.execute('second').catch(() => {});
+      });
+
+      const [[firstSignal], [secondSignal]] = runWithSignal.mock.calls;
+      await expect(first).rejects.toMatchObject({ name: 'AbortError' });
+      expect(firstSignal.aborted).toBe(true);
+      expect(secondSignal.aborted).toBe(false);
+      expect(result.current.loading).toBe(true);
+    });
+
+    it('should ignore a stale response that arrives after a newer one', async () => {
+      const slow = deferred();
+      const fast = deferred();
+      mockApiFunction.mockReturnValueOnce(slow.promise).mockReturnValueOnce(fast.promise);
+
+      const { result } = renderHook(() => useApi(mockApiFunction));
+
+      let first;
+      act(() => {
+        first = result.current.execute('slow');
+        first.catch(() => {});
+      });
+      act(() => {
+        result.current.execute('fast');
+      });
+
+      await act(async () => {
+        fast.resolve({ id: 'fast' });
+      });
+      await act(async () => {
+        slow.resolve({ id: 'slow' });
+      });
+
+      expect(result.current.data).toEqual({ id: 'fast' });
+      expect(result.current.loading).toBe(false);
+      await expect(first).rejects.toMatchObject({ name: 'AbortError' });
+    });
+
+    it('should ignore errors from superseded calls', async () => {
+      const slow = deferred();
+      mockApiFunction.mockReturnValueOnce(slow.promise).mockResolvedValueOnce({ id: 'latest' });
+
+      const { result } = renderHook(() => useApi(mockApiFunction));
+
+      await act(async () => {
+        result.current.execute('slow').catch(() => {});
+        await result.current.execute('latest');
+      });
+      await act(async () => {
+        slow.reject(new Error('Too late'));
+      });
+
+      expect(result.current.error).toBe(null);
+      expect(result.current.data).toEqual({ id: 'latest' });
+    });
+
+    it('should not update state after unmount', async () => {
+      const request = deferred();
+      mockApiFunction.mockReturnValue(request.promise);
+
+      const { result, unmount } = renderHook(() => useApi(mockApiFunction));
+
+      let promise;
+      act(() => {
+        promise = result.current.execute();
+        promise.catch(() => {});
+      });
+      unmount();
+
+      await act(async () => {
+        request.resolve({ id: 1 });
+      });
+
+      await expect(promise).rejects.toMatchObject({ name: 'AbortError' });
+      expect(result.current.data).toBe(null);
+      expect(console.error).not.toHaveBeenCalled();
+    });
+
+    it('should abort the request in flight', async () => {
+      const request = deferred();
+      mockApiFunction.mockReturnValue(request.promise);
+
+      const { result } = renderHook(() => useApi(mockApiFunction));
+
+      let promise;
+      act(() => {
+        promise = result.current.execute();
+        promise.catch(() => {});
+      });
+      act(() => {
+        result.current.abort();
+      });
+
+      expect(result.current.loading).toBe(false);
+
+      await act(async () => {
+        request.resolve({ id: 1 });
+      });
+
+      await expect(promise).rejects.toMatchObject({ name: 'AbortError' });
+      expect(result.current.data).toBe(null);
+    });
+
+    it('should share identical in-flight calls when dedupe is enabled', async () => {
+      const request = deferred();
+      mockApiFunction.mockReturnValue(request.promise);
+
+      const { result } = renderHook(() => useApi(mockApiFunction, { dedupe: true }));
+
+      let first;
+      let second;
+      act(() => {
+        first = result.current.execute({ page: 1 });
+        second = result.current.execute({ page: 1 });
+      });
+
+      expect(second).toBe(first);
+      expect(mockApiFunction).toHaveBeenCalledTimes(1);
+
+      await act(async () => {
+        request.resolve({ id: 1 });
+      });
+
+      expect(result.current.data).toEqual({ id: 1 });
+    });
+
+    it('should start a new call for different arguments when dedupe is enabled', () => {
+      mockApiFunction.mockReturnValue(new Promise(() => {}));
+
+      const { result } = renderHook(() => useApi(mockApiFunction, { dedupe: true }));
+
+      act(() => {
+        result.current.execute({ page: 1 }).catch(() => {});
+        result.current.execute({ page: 2 }).catch(() => {});
+      });
+
+      expect(mockApiFunction).toHaveBeenCalledTimes(2);
+    });
+  });
 }); 
\ No newline at end of file
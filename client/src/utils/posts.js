@@ -0,0 +1,37 @@
+const isAuthor = (user, post) => Boolean(user && post && String(post.author) === String(user.id));
+
+// Mirror the server's permissions: authors and admins edit, publish and delete
+// posts, and moderators may also unpublish them
+export const canManagePost = (user, post) => isAuthor(user, post) || user?.role === 'admin';
+
+export const canUnpublishPost = (user, post) => canManagePost(user, post) || user?.role === 'moderator';
+
+export const isPublished = post => post.status === 'published';
+
+export const formatDate = value => new Date(value).toLocaleDateString(undefined, {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric'
+});
+
+export const excerpt = (content, length = 200) => (
+  content.length > length ? `${content.slice(0, length).trimEnd()}…` : content
+);
+
+// Converts between a post and the values of the post form
+export const toFormData = post => ({
+  title: post.title,
+  content: post.content,
+  category: post.category || '',
+  tags: post.tags.join(', '),
+  status: post.status === 'published' ? 'published' : 'draft'
+});
+
+// An empty category selection is sent as null so the server clears it
+export const toPostPayload = ({ title, content, category, tags = '', status }) => ({
+  title,
+  content,
+  category: category || null,
+  tags: tags.split(',').map(tag => tag.trim()).filter(Boolean),
+  ...(status && { status })
+});
@@ -60,25 +60,29 @@ const setupTestDatabase = async () => {
         username: 'admin',
         email: 'admin@example.com',
         password: 'AdminPass123!',
-        role: 'admin'
+        role: 'admin',
+        isVerified: true
       },
       {
         username: 'user1',
         email: 'user1@example.com',
         password: 'UserPass123!',
-        role: 'user'
+        role: 'user',
+        isVerified: true
       },
       {
         username: 'user2',
         email: 'user2@example.com',
         password: 'UserPass123!',
-        role: 'user'
+        role: 'user',
+        isVerified: true
       },
       {
         username: 'moderator',
         email: 'moderator@example.com',
         password: 'ModPass123!',
-        role: 'admin'
+        role: 'moderator',
+        isVerified: true
       }
     ]);
 
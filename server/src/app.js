@@ -2,18 +2,35 @@ const express = require('express');
 const cors = require('cors');
 require('dotenv').config();
 
+const { connectDatabase } = require('./config/database');
+const { getConfig, validateConfig } = require('./config');
+const logger = require('./utils/logger');
+const { requestId, accessLog } = require('./middleware/logging');
+const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
 const authRoutes = require('./routes/auth');
 const postRoutes = require('./routes/posts');
+const categoryRoutes = require('./routes/categories');
 
 const app = express();
 
 // Middleware
-app.use(cors());
+app.use(requestId);
+app.use(cors({
+  // Checked per request so the allowed origins always reflect the current config
+  origin: (origin, callback) => {
+    const { corsOrigins } = getConfig();
+    callback(null, corsOrigins.includes('*') || corsOrigins.includes(origin));
+  },
+  exposedHeaders: ['X-Request-Id', 'Retry-After']
+}));
+// Before body parsing, so requests rejected as malformed JSON are still logged
+app.use(accessLog);
 app.use(express.json());
 
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/posts', postRoutes);
+app.use('/api/categories', categoryRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -24,16 +41,28 @@ app.get('/api/health', (req, res) => {
   });
 });
 
-// Simple error handler
-app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(500).json({ error: 'Something went wrong!' });
-});
-
-const PORT = process.env.PORT || 5000;
+// Unknown API routes get a JSON 404, then every error is serialized by one handler
+app.use('/api', notFoundHandler);
+app.use(errorHandler);
 
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-});
+// Only bind the port when run directly so tests can import the app
+if (require.main === module) {
+  Promise.resolve()
+    .then(() => {
+      // Refuses to start with missing or unsafe settings (e.g. default secrets in production)
+      const { config, warnings } = validateConfig();
+      warnings.forEach(warning => logger.warn(warning));
+      return connectDatabase().then(() => config.port);
+    })
+    .then((port) => {
+      app.listen(port, () => {
+        logger.info(`Server running on port ${port}`);
+      });
+    })
+    .catch((error) => {
+      logger.error('Failed to start server', { error });
+      process.exit(1);
+    });
+}
 
 module.exports = app; 
\ No newline at end of file
@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+const logger = require('../utils/logger');
+const { getConfig } = require('./index');
+
+const connectDatabase = async () => {
+  const { storageDriver, mongodbUri } = getConfig();
+
+  if (storageDriver === 'memory') {
+    logger.info('Using in-memory storage');
+    return;
+  }
+
+  await mongoose.connect(mongodbUri);
+  logger.info('Connected to MongoDB');
+};
+
+module.exports = {
+  connectDatabase
+};
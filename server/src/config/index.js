@@ -0,0 +1,174 @@
+// Central configuration. Every setting is read from the environment here,
+// parsed into the right type and checked, so the rest of the server never
+// touches process.env directly.
+//
+// getConfig() reads the environment once and caches the result, since it is
+// called on every request and log line. Tests that change environment
+// variables call resetConfig() so the next read picks them up.
+
+const ENVIRONMENTS = ['development', 'test', 'production'];
+
+// Values that must never be used to sign tokens in production
+const DEFAULT_SECRETS = ['secret', 'changeme', 'change-me', 'your-secret-key', 'your_jwt_secret', 'jwt-secret'];
+const MIN_PRODUCTION_SECRET_LENGTH = 32;
+
+const DEFAULTS = {
+  jwtSecret: 'secret',
+  mongodbUri: 'mongodb://localhost:27017/mern-testing',
+  clientUrl: 'http://localhost:3000'
+};
+
+// Small typed readers; problems are collected rather than thrown so every
+// misconfiguration is reported at once
+const createReader = (env, errors) => {
+  const raw = name => (env[name] === undefined || env[name] === '' ? undefined : String(env[name]).trim());
+
+  return {
+    string: (name, fallback) => raw(name) ?? fallback,
+
+    integer: (name, fallback, { min = -Infinity, max = Infinity } = {}) => {
+      const value = raw(name);
+      if (value === undefined) {
+        return fallback;
+      }
+      const parsed = Number(value);
+      if (!Number.isInteger(parsed) || parsed < min || parsed > max) {
+        errors.push(`${name} must be an integer between ${min} and ${max}`);
+        return fallback;
+      }
+      return parsed;
+    },
+
+    oneOf: (name, allowed, fallback) => {
+      const value = raw(name);
+      if (value === undefined) {
+        return fallback;
+      }
+      if (!allowed.includes(value)) {
+        errors.push(`${name} must be one of: ${allowed.join(', ')}`);
+        return fallback;
+      }
+      return value;
+    },
+
+    // Durations in the format jsonwebtoken accepts, e.g. 900, 15m, 7d
+    duration: (name, fallback) => {
+      const value = raw(name);
+      if (value === undefined) {
+        return fallback;
+      }
+      if (!/^\d+\s*(ms|s|m|h|d|w|y)?$/.test(value)) {
+        errors.push(`${name} must be a duration such as 900, 15m or 7d`);
+        return fallback;
+      }
+      return /^\d+$/.test(value) ? Number(value) : value;
+    },
+
+    list: (name, fallback) => {
+      const value = raw(name);
+      return value === undefined ? fallback : value.split(',').map(item => item.trim()).filter(Boolean);
+    }
+  };
+};
+
+// Builds the settings and lists every problem with them for the given
+// environment. Errors stop the server from starting; warnings are only logged.
+const loadConfig = (env = process.env) => {
+  const errors = [];
+  const warnings = [];
+  const read = createReader(env, errors);
+
+  const nodeEnv = read.oneOf('NODE_ENV', ENVIRONMENTS, 'development');
+  const isProduction = nodeEnv === 'production';
+  const port = read.integer('PORT', 5000, { min: 1, max: 65535 });
+  const clientUrl = read.string('CLIENT_URL', DEFAULTS.clientUrl);
+
+  const config = {
+    env: nodeEnv,
+    isProduction,
+    port,
+    storageDriver: read.oneOf('STORAGE_DRIVER', ['mongo', 'memory'], 'mongo'),
+    mongodbUri: read.string('MONGODB_URI', DEFAULTS.mongodbUri),
+    logLevel: read.oneOf('LOG_LEVEL', ['debug', 'info', 'warn', 'error', 'silent'], 'info'),
+    clientUrl,
+    apiUrl: read.string('API_URL', `http://localhost:${port}`),
+    // '*' allows any origin; production defaults to the client only
+    corsOrigins: read.list('CORS_ORIGINS', isProduction ? [clientUrl] : ['*']),
+    bcryptRounds: read.integer('BCRYPT_ROUNDS', 10, { min: 4, max: 15 }),
+    jwt: {
+      secret: read.string('JWT_SECRET', DEFAULTS.jwtSecret),
+      accessTokenExpiresIn: read.duration('JWT_EXPIRES_IN', '15m'),
+      refreshTokenTtlDays: read.integer('REFRESH_TOKEN_TTL_DAYS', 30, { min: 1, max: 365 }),
+      challengeExpiresIn: read.duration('TWO_FACTOR_CHALLENGE_EXPIRES_IN', '5m')
+    },
+    twoFactorIssuer: read.string('TWO_FACTOR_ISSUER', 'MERN Testing'),
+    passwordResetTtlMinutes: read.integer('PASSWORD_RESET_TTL_MINUTES', 60, { min: 1 }),
+    emailVerification: {
+      requiredFor: read.oneOf('EMAIL_VERIFICATION_REQUIRED_FOR', ['none', 'post', 'login'], 'none'),
+      ttlHours: read.integer('EMAIL_VERIFICATION_TTL_HOURS', 24, { min: 1 }),
+      resendIntervalSeconds: read.integer('VERIFICATION_RESEND_INTERVAL_SECONDS', 60, { min: 1 })
+    },
+    login: {
+      maxAttempts: read.integer('LOGIN_MAX_ATTEMPTS', 5, { min: 1 }),
+      lockoutSeconds: read.integer('LOGIN_LOCKOUT_SECONDS', 60, { min: 1 })
+    },
+    authRateLimit: {
+      max: read.integer('AUTH_RATE_LIMIT_MAX', 100, { min: 1 }),
+      windowMinutes: read.integer('AUTH_RATE_LIMIT_WINDOW_MINUTES', 15, { min: 1 })
+    },
+    mail: {
+      transport: read.oneOf('MAIL_TRANSPORT', ['memory', 'file'], 'memory'),
+      outboxDir: read.string('MAIL_OUTBOX_DIR'),
+      from: read.string('MAIL_FROM', 'no-reply@mern-testing.local')
+    }
+  };
+
+  if (isProduction) {
+    const secret = config.jwt.secret;
+    if (!env.JWT_SECRET) {
+      errors.push('JWT_SECRET must be set in production');
+    } else if (DEFAULT_SECRETS.includes(secret.toLowerCase()) || secret.length < MIN_PRODUCTION_SECRET_LENGTH) {
+      errors.push(`JWT_SECRET must not be a default value and must be at least ${MIN_PRODUCTION_SECRET_LENGTH} characters in production`);
+    }
+    if (config.storageDriver === 'mongo' && !env.MONGODB_URI) {
+      errors.push('MONGODB_URI must be set in production');
+    }
+    if (config.corsOrigins.includes('*')) {
+      errors.push('CORS_ORIGINS must list explicit origins in production');
+    }
+  } else if (!env.JWT_SECRET) {
+    warnings.push('JWT_SECRET is not set; using an insecure default that is refused in production');
+  }
+
+  return { config, errors, warnings };
+};
+
+let cachedConfig = null;
+
+const getConfig = () => {
+  if (!cachedConfig) {
+    cachedConfig = loadConfig().config;
+  }
+  return cachedConfig;
+};
+
+const resetConfig = () => {
+  cachedConfig = null;
+};
+
+// Called once at startup: throws with every problem found, so a misconfigured
+// server (e.g. production with the default JWT secret) never starts
+const validateConfig = (env = process.env) => {
+  const { config, errors, warnings } = loadConfig(env);
+  if (errors.length > 0) {
+    throw new Error(`Invalid configuration:\n- ${errors.join('\n- ')}`);
+  }
+  return { config, warnings };
+};
+
+module.exports = {
+  loadConfig,
+  getConfig,
+  resetConfig,
+  validateConfig
+};
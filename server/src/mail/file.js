@@ -0,0 +1,22 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { getConfig } = require('../config');
+
+// Writes each message to a JSON file so it can be inspected (or read by
+// end-to-end tests) without an SMTP server
+const createFileTransport = (directory = getConfig().mail.outboxDir || path.join(os.tmpdir(), 'mern-outbox')) => ({
+  name: 'file',
+  directory,
+
+  async send(message) {
+    const sent = { ...message, sentAt: new Date() };
+    const fileName = `${sent.sentAt.getTime()}-${Math.random().toString(36).slice(2, 8)}.json`;
+
+    await fs.mkdir(directory, { recursive: true });
+    await fs.writeFile(path.join(directory, fileName), JSON.stringify(sent, null, 2));
+    return sent;
+  }
+});
+
+module.exports = createFileTransport;
@@ -0,0 +1,46 @@
+const createMemoryTransport = require('./memory');
+const createFileTransport = require('./file');
+const { getConfig } = require('../config');
+const logger = require('../utils/logger');
+
+// A transport is any object with an async send({ to, subject, text }) method;
+// an SMTP or API-backed one can be plugged in with setMailer
+const transports = {
+  memory: createMemoryTransport,
+  file: createFileTransport
+};
+
+let mailer = null;
+
+const createMailer = (transport = 'memory') => {
+  const factory = transports[transport];
+  if (!factory) {
+    throw new Error(`Unknown mail transport: ${transport}`);
+  }
+  return factory();
+};
+
+// Resolved lazily so the configured transport (MAIL_TRANSPORT) is used
+const getMailer = () => {
+  if (!mailer) {
+    mailer = createMailer(getConfig().mail.transport);
+  }
+  return mailer;
+};
+
+const setMailer = (instance) => {
+  mailer = instance;
+};
+
+const sendMail = async (message) => {
+  const sent = await getMailer().send({ from: getConfig().mail.from, ...message });
+  logger.info('Email sent', { to: message.to, subject: message.subject });
+  return sent;
+};
+
+module.exports = {
+  createMailer,
+  getMailer,
+  setMailer,
+  sendMail
+};
@@ -0,0 +1,17 @@
+// Keeps sent messages in memory; tests read them from the outbox
+const createMemoryTransport = () => {
+  const outbox = [];
+
+  return {
+    name: 'memory',
+    outbox,
+
+    async send(message) {
+      const sent = { ...message, sentAt: new Date() };
+      outbox.push(sent);
+      return sent;
+    }
+  };
+};
+
+module.exports = createMemoryTransport;
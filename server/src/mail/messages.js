@@ -0,0 +1,50 @@
+const { getConfig } = require('../config');
+
+// Builds the emails the app sends. Links point at the client (CLIENT_URL) or,
+// for links handled entirely by the server, at the API (API_URL).
+
+const withBase = (base, path) => `${base.replace(/\/$/, '')}${path}`;
+const clientUrl = path => withBase(getConfig().clientUrl, path);
+const apiUrl = path => withBase(getConfig().apiUrl, path);
+
+const passwordResetMessage = (user, token, lifetimeMinutes) => {
+  const link = clientUrl(`/reset-password?token=${token}`);
+
+  return {
+    to: user.email,
+    subject: 'Reset your password',
+    text: [
+      `Hi ${user.username},`,
+      '',
+      'We received a request to reset your password. Use the link below to choose a new one:',
+      link,
+      '',
+      `The link expires in ${lifetimeMinutes} minutes and can only be used once.`,
+      'If you did not ask for a reset, you can ignore this email.'
+    ].join('\n'),
+    link
+  };
+};
+
+const emailVerificationMessage = (user, token, lifetimeHours) => {
+  const link = apiUrl(`/api/auth/verify-email?token=${token}`);
+
+  return {
+    to: user.email,
+    subject: 'Verify your email address',
+    text: [
+      `Hi ${user.username},`,
+      '',
+      'Please confirm your email address by opening the link below:',
+      link,
+      '',
+      `The link expires in ${lifetimeHours} hours.`
+    ].join('\n'),
+    link
+  };
+};
+
+module.exports = {
+  passwordResetMessage,
+  emailVerificationMessage
+};
@@ -0,0 +1,74 @@
+const {
+  extractTokenFromHeader,
+  getCurrentUser,
+  hasRole,
+  isVerificationRequired,
+  isVerified
+} = require('../utils/auth');
+const { can } = require('../utils/permissions');
+const { AuthError, ForbiddenError } = require('../utils/errors');
+
+// Resolves the Bearer token to an active user and attaches it as req.user
+const requireAuth = async (req, res, next) => {
+  const token = extractTokenFromHeader(req.headers.authorization);
+  if (!token) {
+    return next(new AuthError('Access token required', 'TOKEN_REQUIRED'));
+  }
+
+  const user = await getCurrentUser(token);
+  if (!user) {
+    return next(new AuthError('Invalid or expired token', 'INVALID_TOKEN'));
+  }
+
+  req.user = user;
+  next();
+};
+
+// Attaches req.user when a valid token is sent, but never rejects the request
+const optionalAuth = async (req, res, next) => {
+  const token = extractTokenFromHeader(req.headers.authorization);
+  if (token) {
+    const user = await getCurrentUser(token);
+    if (user) {
+      req.user = user;
+    }
+  }
+
+  next();
+};
+
+// Must run after requireAuth; rejects users whose role is not in the list
+const requireRole = (...roles) => (req, res, next) => {
+  if (!hasRole(req.user, roles)) {
+    return next(new ForbiddenError('Insufficient permissions'));
+  }
+
+  next();
+};
+
+// Must run after requireAuth; checks the permission matrix in utils/permissions
+const requirePermission = permission => (req, res, next) => {
+  if (!can(req.user, permission)) {
+    return next(new ForbiddenError('Insufficient permissions'));
+  }
+
+  next();
+};
+
+// Must run after requireAuth; applies the EMAIL_VERIFICATION_REQUIRED_FOR policy
+// to actions such as creating posts
+const requireVerifiedEmail = (req, res, next) => {
+  if (isVerificationRequired('post') && !isVerified(req.user)) {
+    return next(new ForbiddenError('Please verify your email address first', 'EMAIL_NOT_VERIFIED'));
+  }
+
+  next();
+};
+
+module.exports = {
+  requireAuth,
+  optionalAuth,
+  requireRole,
+  requirePermission,
+  requireVerifiedEmail
+};
@@ -0,0 +1,81 @@
+const logger = require('../utils/logger');
+const {
+  AppError,
+  ValidationError,
+  ConflictError,
+  NotFoundError
+} = require('../utils/errors');
+
+// Express 4 does not forward rejected promises, so async route handlers are
+// wrapped to pass their errors on to the error handler
+const asyncHandler = handler => (req, res, next) => {
+  Promise.resolve(handler(req, res, next)).catch(next);
+};
+
+// Maps body-parser and Mongoose errors onto the typed errors; anything else
+// unrecognised becomes a 500
+const normalizeError = (err) => {
+  if (err instanceof AppError) {
+    return err;
+  }
+
+  if (err.type === 'entity.parse.failed') {
+    return new ValidationError('Malformed JSON in request body', undefined, 'INVALID_JSON');
+  }
+  if (err.type === 'entity.too.large') {
+    return new AppError('Request body too large', { status: 413, code: 'PAYLOAD_TOO_LARGE' });
+  }
+
+  if (err.name === 'ValidationError' && err.errors) {
+    const details = Object.values(err.errors).map(({ path, message }) => ({ field: path, message }));
+    return new ValidationError('Validation failed', details);
+  }
+  if (err.name === 'CastError') {
+    return new ValidationError(`Invalid ${err.path}`, [{ field: err.path, message: `Invalid ${err.path}` }]);
+  }
+  if (err.code === 11000) {
+    return new ConflictError('Resource already exists');
+  }
+
+  // Other client errors raised by Express middleware (e.g. unsupported charset)
+  const status = err.status || err.statusCode;
+  if (status >= 400 && status < 500) {
+    return new AppError(err.message, { status, code: 'BAD_REQUEST' });
+  }
+
+  return new AppError('Internal server error');
+};
+
+// Final error handler: logs the failure and sends the error envelope.
+// Express recognises error handlers by their four parameters, so next stays.
+const errorHandler = (err, req, res, next) => {
+  const error = normalizeError(err);
+
+  if (error.status >= 500) {
+    logger.error('Unhandled error', { error: err, method: req.method, url: req.originalUrl });
+  } else {
+    logger.debug('Request failed', { code: error.code, message: error.message, details: error.details });
+  }
+
+  if (error.retryAfter) {
+    res.set('Retry-After', String(Math.ceil(error.retryAfter)));
+  }
+
+  res.status(error.status).json({
+    error: error.message,
+    code: error.code,
+    ...(error.details && { details: error.details }),
+    requestId: req.id
+  });
+};
+
+// Catch-all for API paths no router handled
+const notFoundHandler = (req, res, next) => {
+  next(new NotFoundError(`Route not found: ${req.method} ${req.originalUrl}`, 'ROUTE_NOT_FOUND'));
+};
+
+module.exports = {
+  asyncHandler,
+  errorHandler,
+  notFoundHandler
+};
@@ -0,0 +1,46 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+// Client-supplied ids are accepted only if they look like an id, so arbitrary
+// header content never ends up in logs
+const VALID_REQUEST_ID = /^[\w-]{1,128}$/;
+
+// Reuses the caller's X-Request-Id (or generates one), echoes it on the
+// response and makes it available to every log entry for this request
+const requestId = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  const id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+
+  req.id = id;
+  res.set('X-Request-Id', id);
+  logger.runWithContext({ requestId: id }, next);
+};
+
+// Logs one entry per request once the response has been sent
+const accessLog = (req, res, next) => {
+  const startedAt = process.hrtime.bigint();
+
+  res.on('finish', () => {
+    const durationMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+    const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+
+    logger.runWithContext({ requestId: req.id }, () => {
+      logger[level]('HTTP request', {
+        method: req.method,
+        url: logger.redactUrl(req.originalUrl),
+        status: res.statusCode,
+        durationMs: Math.round(durationMs * 100) / 100,
+        ip: req.ip,
+        userId: req.user ? String(req.user._id) : undefined
+      });
+      logger.debug('HTTP request body', { body: req.body });
+    });
+  });
+
+  next();
+};
+
+module.exports = {
+  requestId,
+  accessLog
+};
@@ -0,0 +1,55 @@
+const { TooManyRequestsError } = require('../utils/errors');
+
+// Fixed-window request counter kept in process memory. Each limiter counts
+// requests per key (the client IP by default) and rejects with 429 once max is
+// reached within windowMs.
+const rateLimit = ({
+  windowMs,
+  max,
+  keyGenerator = req => req.ip,
+  message = 'Too many requests, please try again later'
+}) => {
+  const hits = new Map();
+  let nextSweep = Date.now() + windowMs;
+
+  // Drops expired windows so the map does not grow without bound
+  const sweep = (now) => {
+    for (const [key, entry] of hits) {
+      if (entry.resetAt <= now) {
+        hits.delete(key);
+      }
+    }
+    nextSweep = now + windowMs;
+  };
+
+  const limiter = (req, res, next) => {
+    const now = Date.now();
+    if (now >= nextSweep) {
+      sweep(now);
+    }
+
+    const key = keyGenerator(req);
+    let entry = hits.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(key, entry);
+    }
+    entry.count += 1;
+
+    res.set('RateLimit-Limit', String(max));
+    res.set('RateLimit-Remaining', String(Math.max(max - entry.count, 0)));
+
+    if (entry.count > max) {
+      return next(new TooManyRequestsError(message, (entry.resetAt - now) / 1000, 'RATE_LIMITED'));
+    }
+
+    next();
+  };
+
+  limiter.reset = () => hits.clear();
+  return limiter;
+};
+
+module.exports = {
+  rateLimit
+};
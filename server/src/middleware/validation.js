@@ -0,0 +1,40 @@
+const { validationResult } = require('express-validator');
+const { isValidObjectId } = require('../utils/validation');
+const { ValidationError } = require('../utils/errors');
+
+// Rejects malformed ids with 400 before they reach the storage layer
+const validateObjectId = (paramName = 'id') => (req, res, next) => {
+  if (!isValidObjectId(req.params[paramName])) {
+    const message = `Invalid ${paramName}`;
+    return next(new ValidationError(message, [{ field: paramName, message }]));
+  }
+
+  next();
+};
+
+// Adapts a { isValid, errors } validator from utils/validation for express-validator's .custom()
+const checkWith = validate => (value, meta) => {
+  const { isValid, errors } = validate(value, meta);
+  if (!isValid) {
+    throw new Error(errors.join('. '));
+  }
+  return true;
+};
+
+// Runs after a chain of express-validator checks and fails the request with
+// their messages as field details
+const validateRequest = (req, res, next) => {
+  const result = validationResult(req);
+  if (!result.isEmpty()) {
+    const details = result.array().map(({ path, msg }) => ({ field: path, message: msg }));
+    return next(new ValidationError('Validation failed', details));
+  }
+
+  next();
+};
+
+module.exports = {
+  validateObjectId,
+  checkWith,
+  validateRequest
+};
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+const categorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true
+  },
+  color: {
+    type: String,
+    match: /^#[0-9a-fA-F]{6}$/,
+    default: '#6c757d'
+  }
+}, { timestamps: true });
+
+module.exports = mongoose.model('Category', categorySchema);
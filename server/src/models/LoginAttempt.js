@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// Failed login attempts per email address. Kept separate from users so unknown
+// addresses are throttled exactly like real accounts.
+const loginAttemptSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true
+  },
+  failedAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockUntil: {
+    type: Date,
+    default: null
+  }
+}, { timestamps: true });
+
+// Records for addresses nobody has tried in a day are dropped
+loginAttemptSchema.index({ updatedAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
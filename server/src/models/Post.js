@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+const POST_STATUSES = ['draft', 'published', 'archived', 'scheduled'];
+
+const postSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  content: {
+    type: String,
+    required: true
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  },
+  slug: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    unique: true,
+    sparse: true
+  },
+  status: {
+    type: String,
+    enum: POST_STATUSES,
+    default: 'published'
+  },
+  // When a scheduled post becomes visible
+  publishAt: {
+    type: Date,
+    default: null
+  },
+  publishedAt: {
+    type: Date,
+    default: null
+  },
+  tags: {
+    type: [String],
+    default: []
+  },
+  featured: {
+    type: Boolean,
+    default: false
+  }
+}, { timestamps: true });
+
+const Post = mongoose.model('Post', postSchema);
+Post.STATUSES = POST_STATUSES;
+
+module.exports = Post;
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// One row per issued refresh token. Only a hash of the token is stored; tokens
+// rotated from the same login share a family so they can be revoked together.
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  family: {
+    type: String,
+    required: true,
+    index: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    // MongoDB removes expired tokens automatically
+    expires: 0
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  replacedBy: {
+    type: String,
+    default: null
+  }
+}, { timestamps: true });
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const { getConfig } = require('../config');
+
+const USER_ROLES = ['user', 'moderator', 'admin'];
+
+const userSchema = new mongoose.Schema({
+  username: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    minlength: 3,
+    maxlength: 30
+  },
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true
+  },
+  password: {
+    type: String,
+    required: true,
+    minlength: 6
+  },
+  role: {
+    type: String,
+    enum: USER_ROLES,
+    default: 'user'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Registration sets this to false until the email is confirmed. There is no
+  // default, so accounts created before verification existed have no value and
+  // count as verified whether they are read lean or as documents.
+  isVerified: {
+    type: Boolean
+  },
+  // TOTP two-factor authentication. The pending secret is only promoted once
+  // the user proves their authenticator app produces matching codes.
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorSecret: {
+    type: String,
+    default: null
+  },
+  twoFactorPendingSecret: {
+    type: String,
+    default: null
+  },
+  // SHA-256 hashes of the unused recovery codes
+  twoFactorRecoveryCodes: {
+    type: [String],
+    default: []
+  },
+  // Last TOTP step accepted, so a code cannot be replayed
+  twoFactorLastCounter: {
+    type: Number,
+    default: null
+  },
+  // Embedded in access tokens; bumping it invalidates every token already issued
+  tokenVersion: {
+    type: Number,
+    default: 0
+  }
+}, { timestamps: true });
+
+// Hash password whenever it is set or changed
+userSchema.pre('save', async function hashPassword() {
+  if (this.isModified('password')) {
+    this.password = await bcrypt.hash(this.password, getConfig().bcryptRounds);
+  }
+});
+
+// insertMany bypasses save hooks, so hash each document here as well
+userSchema.pre('insertMany', async function hashPasswords(next, docs) {
+  await Promise.all(docs.map(async (doc) => {
+    doc.password = await bcrypt.hash(doc.password, getConfig().bcryptRounds);
+  }));
+  next();
+});
+
+const User = mongoose.model('User', userSchema);
+User.ROLES = USER_ROLES;
+
+module.exports = User;
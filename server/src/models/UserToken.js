@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// Single-use tokens sent to a user by email (password resets, email
+// verification). Only a hash of the token is stored.
+const userTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  purpose: {
+    type: String,
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    // MongoDB removes expired tokens automatically
+    expires: 0
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  }
+}, { timestamps: true });
+
+module.exports = mongoose.model('UserToken', userTokenSchema);
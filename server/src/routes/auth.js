@@ -1,106 +1,571 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query } = require('express-validator');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
+const { getStorage } = require('../storage');
+const { getConfig } = require('../config');
+const User = require('../models/User');
+const logger = require('../utils/logger');
+const { generateToken, isVerificationRequired, isVerified } = require('../utils/auth');
+const {
+  issueRefreshToken,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllSessions
+} = require('../utils/refreshTokens');
+const { issueUserToken, consumeUserToken } = require('../utils/userTokens');
+const { generateSecret, verifyTotp, buildOtpauthUri } = require('../utils/totp');
+const {
+  createRecoveryCodes,
+  checkSecondFactor,
+  issueChallengeToken,
+  verifyChallengeToken
+} = require('../utils/twoFactor');
+const { sendMail } = require('../mail');
+const { passwordResetMessage, emailVerificationMessage } = require('../mail/messages');
+const { requireAuth, requirePermission } = require('../middleware/auth');
+const { checkWith, validateObjectId, validateRequest } = require('../middleware/validation');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { rateLimit } = require('../middleware/rateLimit');
+const { getLockRemaining, recordFailedLogin, clearFailedLogins } = require('../utils/loginAttempts');
+const {
+  AuthError,
+  ConflictError,
+  ForbiddenError,
+  LockedError,
+  NotFoundError,
+  ValidationError
+} = require('../utils/errors');
+const {
+  isValidEmail,
+  validatePassword,
+  validateUsername,
+  validatePagination,
+  validateSearchQuery,
+  escapeRegex
+} = require('../utils/validation');
 
 const router = express.Router();
 
-// Simple in-memory user storage for testing
-const users = [];
+const PASSWORD_RESET = 'password-reset';
+const passwordResetLifetime = () => getConfig().passwordResetTtlMinutes;
+const EMAIL_VERIFICATION = 'email-verification';
+const verificationLifetimeHours = () => getConfig().emailVerification.ttlHours;
+const verificationResendInterval = () => getConfig().emailVerification.resendIntervalSeconds * 1000;
+
+// Per-IP limit shared by the unauthenticated auth endpoints
+const authRateLimit = rateLimit({
+  windowMs: getConfig().authRateLimit.windowMinutes * 60 * 1000,
+  max: getConfig().authRateLimit.max,
+  message: 'Too many requests, please try again later'
+});
+
+let dummyHash = null;
+const dummyPasswordHash = async () => {
+  if (!dummyHash) {
+    dummyHash = await bcrypt.hash('dummy-password-for-timing', getConfig().bcryptRounds);
+  }
+  return dummyHash;
+};
+
+// Public view of a user record (never includes the password hash)
+const serializeUser = user => ({
+  id: user._id,
+  username: user.username,
+  email: user.email,
+  role: user.role,
+  isVerified: isVerified(user),
+  twoFactorEnabled: Boolean(user.twoFactorEnabled),
+  createdAt: user.createdAt
+});
+
+// What admins see when managing accounts
+const serializeAdminUser = user => ({ ...serializeUser(user), isActive: user.isActive });
+
+// A short-lived access token plus a refresh token that starts a new session
+const createSession = async user => ({
+  token: generateToken(user),
+  refreshToken: await issueRefreshToken(user)
+});
+
+// Emails are compared case-insensitively, so normalize before validating
+const emailField = name => body(name).trim().toLowerCase();
+
+const sendVerificationEmail = async (user) => {
+  const lifetime = verificationLifetimeHours();
+  const token = await issueUserToken(user, EMAIL_VERIFICATION, lifetime * 60);
+  await sendMail(emailVerificationMessage(user, token, lifetime));
+};
+
+// Either a code from the authenticator app or one of the recovery codes
+const secondFactorField = () => body('code')
+  .custom((code, { req }) => Boolean(code || req.body.recoveryCode))
+  .withMessage('A two-factor code or recovery code is required');
+
+const invalidTwoFactorCode = () => new ValidationError('Invalid two-factor code', [
+  { field: 'code', message: 'Invalid two-factor code' }
+], 'INVALID_TWO_FACTOR_CODE');
+
+const refreshTokenField = () => body('refreshToken')
+  .custom(value => typeof value === 'string' && value.length > 0)
+  .withMessage('Refresh token is required');
 
 // Register user
-router.post('/register', [
-  body('username').isLength({ min: 3 }).withMessage('Username must be at least 3 characters'),
-  body('email').isEmail().withMessage('Please provide a valid email'),
-  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
-], async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
-    }
+router.post('/register', authRateLimit, [
+  body('username').trim().custom(checkWith(validateUsername)),
+  emailField('email').custom(isValidEmail).withMessage('Please provide a valid email'),
+  body('password').custom(checkWith(validatePassword))
+], validateRequest, asyncHandler(async (req, res) => {
+  const { username, email, password } = req.body;
 
-    const { username, email, password } = req.body;
+  const { users } = getStorage();
 
-    // Check if user already exists
-    const existingUser = users.find(u => u.email === email || u.username === username);
-    if (existingUser) {
-      return res.status(400).json({ error: 'User already exists' });
-    }
+  // Check if user already exists
+  const existingUser = await users.findOne({ $or: [{ email }, { username }] });
+  if (existingUser) {
+    throw new ConflictError('User already exists', 'USER_EXISTS');
+  }
 
-    // Hash password
-    const hashedPassword = await bcrypt.hash(password, 10);
-
-    // Create new user
-    const user = {
-      id: Date.now().toString(),
-      username,
-      email,
-      password: hashedPassword,
-      createdAt: new Date()
-    };
-
-    users.push(user);
-
-    // Generate token
-    const token = jwt.sign(
-      { userId: user.id, email: user.email },
-      process.env.JWT_SECRET || 'secret',
-      { expiresIn: '7d' }
-    );
+  // Create new user (the storage layer hashes the password)
+  const user = await users.create({ username, email, password, isVerified: false });
 
-    res.status(201).json({
+  // The account exists either way; the user can ask for another email later
+  try {
+    await sendVerificationEmail(user);
+  } catch (error) {
+    logger.error('Verification email error', { error });
+  }
+
+  // When unverified users may not log in, no session is started until they verify
+  if (isVerificationRequired('login')) {
+    return res.status(201).json({
       success: true,
-      user: { id: user.id, username: user.username, email: user.email },
-      token
+      user: serializeUser(user),
+      message: 'Please check your email to verify your account'
     });
-  } catch (error) {
-    console.error('Registration error:', error);
-    res.status(500).json({ error: 'Registration failed' });
   }
-});
 
-// Login user
-router.post('/login', [
-  body('email').isEmail().withMessage('Please provide a valid email'),
-  body('password').notEmpty().withMessage('Password is required')
-], async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
-    }
+  res.status(201).json({
+    success: true,
+    user: serializeUser(user),
+    ...await createSession(user)
+  });
+}));
 
-    const { email, password } = req.body;
+// Login user. Failed attempts are counted per email address (locking it with
+// 423 after too many) and the response for a wrong password is the same
+// whether or not the account exists.
+router.post('/login', authRateLimit, [
+  emailField('email').custom(isValidEmail).withMessage('Please provide a valid email'),
+  body('password', 'Password is required').isString().notEmpty()
+], validateRequest, asyncHandler(async (req, res) => {
+  const { email, password } = req.body;
 
-    // Find user
-    const user = users.find(u => u.email === email);
-    if (!user) {
-      return res.status(401).json({ error: 'Invalid credentials' });
-    }
+  const lockRemaining = await getLockRemaining(email);
+  if (lockRemaining > 0) {
+    throw new LockedError('Too many failed login attempts. Please try again later', lockRemaining / 1000, 'ACCOUNT_LOCKED');
+  }
 
-    // Check password
-    const isPasswordValid = await bcrypt.compare(password, user.password);
-    if (!isPasswordValid) {
-      return res.status(401).json({ error: 'Invalid credentials' });
-    }
+  // Compare against a dummy hash for unknown emails so both cases take as long
+  const user = await getStorage().users.findOne({ email });
+  const isPasswordValid = await bcrypt.compare(password, user ? user.password : await dummyPasswordHash());
+  if (!user || !isPasswordValid) {
+    await recordFailedLogin(email);
+    throw new AuthError('Invalid credentials', 'INVALID_CREDENTIALS');
+  }
 
-    // Generate token
-    const token = jwt.sign(
-      { userId: user.id, email: user.email },
-      process.env.JWT_SECRET || 'secret',
-      { expiresIn: '7d' }
-    );
+  await clearFailedLogins(email);
+
+  if (user.isActive === false) {
+    throw new AuthError('Account is deactivated', 'ACCOUNT_DEACTIVATED');
+  }
+
+  if (isVerificationRequired('login') && !isVerified(user)) {
+    throw new ForbiddenError('Please verify your email address before logging in', 'EMAIL_NOT_VERIFIED');
+  }
 
-    res.json({
+  // With 2FA on, the password only earns a challenge token for POST /login/2fa
+  if (user.twoFactorEnabled) {
+    return res.json({
       success: true,
-      user: { id: user.id, username: user.username, email: user.email },
-      token
+      twoFactorRequired: true,
+      challengeToken: issueChallengeToken(user)
     });
-  } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({ error: 'Login failed' });
   }
+
+  res.json({
+    success: true,
+    user: serializeUser(user),
+    ...await createSession(user)
+  });
+}));
+
+// Second login step: exchange the challenge token and a TOTP or recovery code
+// for a session. Wrong codes count towards the same lockout as wrong passwords.
+router.post('/login/2fa', authRateLimit, [
+  body('challengeToken').notEmpty().withMessage('Challenge token is required'),
+  secondFactorField()
+], validateRequest, asyncHandler(async (req, res) => {
+  const { users } = getStorage();
+  const userId = verifyChallengeToken(req.body.challengeToken);
+  const user = userId && await users.findById(userId);
+  if (!user || user.isActive === false || !user.twoFactorEnabled) {
+    throw new AuthError('Invalid or expired login challenge', 'INVALID_CHALLENGE');
+  }
+
+  const lockRemaining = await getLockRemaining(user.email);
+  if (lockRemaining > 0) {
+    throw new LockedError('Too many failed login attempts. Please try again later', lockRemaining / 1000, 'ACCOUNT_LOCKED');
+  }
+
+  const updates = checkSecondFactor(user, req.body);
+  if (!updates) {
+    await recordFailedLogin(user.email);
+    throw new AuthError('Invalid two-factor code', 'INVALID_TWO_FACTOR_CODE');
+  }
+
+  await users.updateById(user._id, updates);
+  await clearFailedLogins(user.email);
+
+  res.json({
+    success: true,
+    user: serializeUser(user),
+    ...await createSession(user)
+  });
+}));
+
+// Exchange a refresh token for a new access token and refresh token
+router.post('/refresh', authRateLimit, [
+  refreshTokenField()
+], validateRequest, asyncHandler(async (req, res) => {
+  const { user, refreshToken } = await rotateRefreshToken(req.body.refreshToken);
+
+  res.json({
+    success: true,
+    user: serializeUser(user),
+    token: generateToken(user),
+    refreshToken
+  });
+}));
+
+// Log out by revoking the session the refresh token belongs to. Works without
+// a valid access token so clients can always end a session.
+router.post('/logout', [
+  refreshTokenField()
+], validateRequest, asyncHandler(async (req, res) => {
+  await revokeRefreshToken(req.body.refreshToken);
+
+  res.json({
+    success: true,
+    message: 'Logged out successfully'
+  });
+}));
+
+// Confirm an email address with the token from the verification email
+router.get('/verify-email', authRateLimit, asyncHandler(async (req, res) => {
+  const userId = await consumeUserToken(req.query.token, EMAIL_VERIFICATION);
+  if (!userId) {
+    throw new ValidationError('Invalid or expired verification token', [
+      { field: 'token', message: 'Invalid or expired verification token' }
+    ], 'INVALID_VERIFICATION_TOKEN');
+  }
+
+  await getStorage().users.updateById(userId, { isVerified: true });
+
+  res.json({
+    success: true,
+    message: 'Email verified successfully'
+  });
+}));
+
+// Send another verification email, at most once per resend interval. Requests
+// inside the interval are skipped silently, so the response is the same whether
+// or not the address belongs to an unverified account.
+router.post('/resend-verification', authRateLimit, [
+  emailField('email').custom(isValidEmail).withMessage('Please provide a valid email')
+], validateRequest, asyncHandler(async (req, res) => {
+  const user = await getStorage().users.findOne({ email: req.body.email });
+
+  if (user && !isVerified(user)) {
+    const [latest] = await getStorage().userTokens.find(
+      { user: user._id, purpose: EMAIL_VERIFICATION },
+      { sort: { createdAt: -1 }, limit: 1 }
+    );
+    if (!latest || latest.createdAt.getTime() + verificationResendInterval() <= Date.now()) {
+      await sendVerificationEmail(user);
+    }
+  }
+
+  res.json({
+    success: true,
+    message: 'If the account needs verification, a new email has been sent'
+  });
+}));
+
+// Email a single-use password reset link. The response is the same whether
+// or not the address belongs to an active account.
+router.post('/forgot-password', authRateLimit, [
+  emailField('email').custom(isValidEmail).withMessage('Please provide a valid email')
+], validateRequest, asyncHandler(async (req, res) => {
+  const user = await getStorage().users.findOne({ email: req.body.email });
+
+  if (user && user.isActive !== false) {
+    const lifetime = passwordResetLifetime();
+    const token = await issueUserToken(user, PASSWORD_RESET, lifetime);
+    await sendMail(passwordResetMessage(user, token, lifetime));
+  }
+
+  res.json({
+    success: true,
+    message: 'If an account exists for this email, a password reset email has been sent'
+  });
+}));
+
+// Set a new password using the emailed token; every existing session is ended
+router.post('/reset-password', authRateLimit, [
+  body('token').notEmpty().withMessage('Reset token is required'),
+  body('password').custom(checkWith(validatePassword))
+], validateRequest, asyncHandler(async (req, res) => {
+  const userId = await consumeUserToken(req.body.token, PASSWORD_RESET);
+  if (!userId) {
+    throw new ValidationError('Invalid or expired reset token', [
+      { field: 'token', message: 'Invalid or expired reset token' }
+    ], 'INVALID_RESET_TOKEN');
+  }
+
+  // The storage layer hashes the new password
+  await getStorage().users.updateById(userId, { password: req.body.password });
+  await revokeAllSessions(userId);
+
+  res.json({
+    success: true,
+    message: 'Password has been reset'
+  });
+}));
+
+// Get current user
+router.get('/me', requireAuth, (req, res) => {
+  res.json({
+    success: true,
+    user: serializeUser(req.user)
+  });
 });
 
+// Update current user's profile
+router.put('/profile', requireAuth, [
+  body('username').optional().trim().custom(checkWith(validateUsername)),
+  emailField('email').optional().custom(isValidEmail).withMessage('Please provide a valid email')
+], validateRequest, asyncHandler(async (req, res) => {
+  const { username, email } = req.body;
+  const updates = {};
+  if (username !== undefined) updates.username = username;
+  if (email !== undefined) updates.email = email;
+
+  const { users } = getStorage();
+
+  // Check the new username/email is not taken by someone else
+  const conflicts = Object.entries(updates).map(([field, value]) => ({ [field]: value }));
+  if (conflicts.length > 0) {
+    const existingUser = await users.findOne({ _id: { $ne: req.user._id }, $or: conflicts });
+    if (existingUser) {
+      throw new ConflictError('Username or email already exists', 'USER_EXISTS');
+    }
+  }
+
+  // A new address has to be confirmed before it counts as verified
+  const emailChanged = email !== undefined && email !== req.user.email;
+  if (emailChanged) updates.isVerified = false;
+
+  const user = await users.updateById(req.user._id, updates);
+  if (emailChanged) {
+    await sendVerificationEmail(user);
+  }
+
+  res.json({
+    success: true,
+    user: serializeUser(user)
+  });
+}));
+
+// Change current user's password. Every existing session is ended and the
+// caller gets a new one, so only the client that made the change stays signed in.
+router.put('/password', requireAuth, [
+  body('currentPassword', 'Current password is required').isString().notEmpty(),
+  body('newPassword').custom(checkWith(validatePassword))
+], validateRequest, asyncHandler(async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+
+  // Check current password
+  const isPasswordValid = await bcrypt.compare(currentPassword, req.user.password);
+  if (!isPasswordValid) {
+    throw new ValidationError('Current password is incorrect', [
+      { field: 'currentPassword', message: 'Current password is incorrect' }
+    ]);
+  }
+
+  // The storage layer hashes the new password
+  await getStorage().users.updateById(req.user._id, { password: newPassword });
+  await revokeAllSessions(req.user._id);
+  const user = await getStorage().users.findById(req.user._id);
+
+  res.json({
+    success: true,
+    message: 'Password changed successfully',
+    ...await createSession(user)
+  });
+}));
+
+// Start two-factor enrolment: returns a new secret (as an otpauth URI for
+// authenticator apps) and recovery codes. Nothing changes until /2fa/verify.
+router.post('/2fa/setup', requireAuth, asyncHandler(async (req, res) => {
+  if (req.user.twoFactorEnabled) {
+    throw new ConflictError('Two-factor authentication is already enabled', 'TWO_FACTOR_ALREADY_ENABLED');
+  }
+
+  const secret = generateSecret();
+  const { codes, hashes } = createRecoveryCodes();
+  await getStorage().users.updateById(req.user._id, {
+    twoFactorPendingSecret: secret,
+    twoFactorRecoveryCodes: hashes
+  });
+
+  res.json({
+    success: true,
+    secret,
+    otpauthUri: buildOtpauthUri({
+      secret,
+      accountName: req.user.email,
+      issuer: getConfig().twoFactorIssuer
+    }),
+    recoveryCodes: codes
+  });
+}));
+
+// Activate two-factor authentication with a code from the newly enrolled app
+router.post('/2fa/verify', requireAuth, [
+  body('code').notEmpty().withMessage('Two-factor code is required')
+], validateRequest, asyncHandler(async (req, res) => {
+  if (!req.user.twoFactorPendingSecret) {
+    throw new ValidationError('Start two-factor setup first', undefined, 'TWO_FACTOR_SETUP_REQUIRED');
+  }
+
+  const counter = verifyTotp(req.user.twoFactorPendingSecret, String(req.body.code));
+  if (counter === null) {
+    throw invalidTwoFactorCode();
+  }
+
+  const user = await getStorage().users.updateById(req.user._id, {
+    twoFactorEnabled: true,
+    twoFactorSecret: req.user.twoFactorPendingSecret,
+    twoFactorPendingSecret: null,
+    twoFactorLastCounter: counter
+  });
+
+  res.json({
+    success: true,
+    message: 'Two-factor authentication enabled',
+    user: serializeUser(user)
+  });
+}));
+
+// Turn two-factor authentication off; requires the password and a current code
+router.post('/2fa/disable', requireAuth, [
+  body('password', 'Password is required').isString().notEmpty(),
+  secondFactorField()
+], validateRequest, asyncHandler(async (req, res) => {
+  if (!req.user.twoFactorEnabled) {
+    throw new ConflictError('Two-factor authentication is not enabled', 'TWO_FACTOR_NOT_ENABLED');
+  }
+
+  if (!await bcrypt.compare(req.body.password, req.user.password)) {
+    throw new ValidationError('Password is incorrect', [
+      { field: 'password', message: 'Password is incorrect' }
+    ]);
+  }
+
+  if (!checkSecondFactor(req.user, req.body)) {
+    throw invalidTwoFactorCode();
+  }
+
+  const user = await getStorage().users.updateById(req.user._id, {
+    twoFactorEnabled: false,
+    twoFactorSecret: null,
+    twoFactorPendingSecret: null,
+    twoFactorRecoveryCodes: [],
+    twoFactorLastCounter: null
+  });
+
+  res.json({
+    success: true,
+    message: 'Two-factor authentication disabled',
+    user: serializeUser(user)
+  });
+}));
+
+// List users (admin only)
+router.get('/users', requireAuth, requirePermission('users:manage'), [
+  query('role').optional().isIn(User.ROLES).withMessage('Invalid role'),
+  query('isActive').optional().isBoolean().withMessage('isActive must be true or false')
+], validateRequest, asyncHandler(async (req, res) => {
+  const { page, limit, skip } = validatePagination(req.query);
+  const search = validateSearchQuery(req.query.search);
+
+  const filter = {};
+  if (search) {
+    const pattern = new RegExp(escapeRegex(search), 'i');
+    filter.$or = [{ username: pattern }, { email: pattern }];
+  }
+  if (req.query.role) {
+    filter.role = req.query.role;
+  }
+  if (req.query.isActive !== undefined) {
+    filter.isActive = req.query.isActive === 'true';
+  }
+
+  const { users } = getStorage();
+  const [results, total] = await Promise.all([
+    users.find(filter, { sort: { createdAt: -1 }, skip, limit }),
+    users.count(filter)
+  ]);
+
+  res.json({
+    success: true,
+    users: results.map(serializeAdminUser),
+    total,
+    page,
+    totalPages: Math.ceil(total / limit)
+  });
+}));
+
+// Change a user's role or (de)activate their account (admin only). Deactivating
+// ends the user's sessions; admins cannot change their own role or status.
+router.put('/users/:id', requireAuth, requirePermission('users:manage'), validateObjectId(), [
+  body('role', `Role must be one of: ${User.ROLES.join(', ')}`).optional().isString().bail().isIn(User.ROLES),
+  body('isActive').optional().isBoolean({ strict: true }).withMessage('isActive must be true or false')
+], validateRequest, asyncHandler(async (req, res) => {
+  const { users } = getStorage();
+
+  if (!await users.findById(req.params.id)) {
+    throw new NotFoundError('User not found');
+  }
+
+  if (String(req.params.id) === String(req.user._id)) {
+    throw new ForbiddenError('You cannot change your own role or status', 'CANNOT_MODIFY_SELF');
+  }
+
+  const { role, isActive } = req.body;
+  const updates = {};
+  if (role !== undefined) updates.role = role;
+  if (isActive !== undefined) updates.isActive = isActive;
+
+  const user = await users.updateById(req.params.id, updates);
+  if (isActive === false) {
+    await revokeAllSessions(user._id);
+  }
+
+  res.json({
+    success: true,
+    user: serializeAdminUser(user)
+  });
+}));
+
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,133 @@
+const express = require('express');
+const { body } = require('express-validator');
+const { getStorage } = require('../storage');
+const { requireAuth, requirePermission } = require('../middleware/auth');
+const { validateObjectId, validateRequest } = require('../middleware/validation');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { ConflictError, NotFoundError } = require('../utils/errors');
+const { publicFilter } = require('../utils/postAccess');
+const { slugify } = require('../utils/slug');
+const { sanitizeString } = require('../utils/validation');
+
+const router = express.Router();
+
+// Shared by create and update; on update every field is optional.
+// Text fields are sanitized before their length is checked.
+const categoryValidators = ({ partial = false } = {}) => {
+  const field = (name, message) => (partial ? body(name, message).optional() : body(name, message));
+
+  return [
+    field('name', 'Name must be between 2 and 50 characters').isString().bail().customSanitizer(sanitizeString).isLength({ min: 2, max: 50 }),
+    body('description', 'Description must be no more than 200 characters').optional().isString().bail().customSanitizer(sanitizeString).isLength({ max: 200 }),
+    body('slug').optional().matches(/^[a-z0-9]+(?:-[a-z0-9]+)*$/).withMessage('Slug may only contain lowercase letters, numbers and hyphens'),
+    body('color').optional().matches(/^#[0-9a-fA-F]{6}$/).withMessage('Color must be a hex value like #007bff')
+  ];
+};
+
+// Number of publicly visible posts in a category
+const countPosts = category => getStorage().posts.count({ category: category._id, ...publicFilter() });
+
+const withPostCount = async category => ({ ...category, postCount: await countPosts(category) });
+
+// Rejects names or slugs already used by another category
+const findConflict = ({ name, slug }, excludeId) => {
+  const conditions = [];
+  if (name !== undefined) conditions.push({ name });
+  if (slug !== undefined) conditions.push({ slug });
+  if (conditions.length === 0) {
+    return null;
+  }
+
+  const filter = { $or: conditions };
+  if (excludeId) filter._id = { $ne: excludeId };
+  return getStorage().categories.findOne(filter);
+};
+
+// Get all categories
+router.get('/', asyncHandler(async (req, res) => {
+  const categories = await getStorage().categories.find({}, { sort: { name: 1 } });
+
+  res.json({
+    success: true,
+    categories: await Promise.all(categories.map(withPostCount))
+  });
+}));
+
+// Get a category by slug
+router.get('/:slug', asyncHandler(async (req, res) => {
+  const category = await getStorage().categories.findOne({ slug: req.params.slug });
+  if (!category) {
+    throw new NotFoundError('Category not found');
+  }
+
+  res.json({
+    success: true,
+    category: await withPostCount(category)
+  });
+}));
+
+// Create a category (admin only)
+router.post('/', requireAuth, requirePermission('categories:manage'), categoryValidators(), validateRequest, asyncHandler(async (req, res) => {
+  const { name, description, color } = req.body;
+  const slug = req.body.slug || slugify(name);
+
+  if (await findConflict({ name, slug })) {
+    throw new ConflictError('Category already exists', 'CATEGORY_EXISTS');
+  }
+
+  const category = await getStorage().categories.create({ name, description, slug, color });
+
+  res.status(201).json({
+    success: true,
+    category
+  });
+}));
+
+// Update a category (admin only)
+router.put('/:id', requireAuth, requirePermission('categories:manage'), validateObjectId(), categoryValidators({ partial: true }), validateRequest, asyncHandler(async (req, res) => {
+  const { categories } = getStorage();
+
+  if (!await categories.findById(req.params.id)) {
+    throw new NotFoundError('Category not found');
+  }
+
+  const { name, description, slug, color } = req.body;
+  const updates = {};
+  if (name !== undefined) updates.name = name;
+  if (description !== undefined) updates.description = description;
+  if (slug !== undefined) updates.slug = slug;
+  if (color !== undefined) updates.color = color;
+
+  if (await findConflict(updates, req.params.id)) {
+    throw new ConflictError('Category already exists', 'CATEGORY_EXISTS');
+  }
+
+  const category = await categories.updateById(req.params.id, updates);
+
+  res.json({
+    success: true,
+    category
+  });
+}));
+
+// Delete a category (admin only); refused while posts still use it
+router.delete('/:id', requireAuth, requirePermission('categories:manage'), validateObjectId(), asyncHandler(async (req, res) => {
+  const { categories, posts } = getStorage();
+
+  if (!await categories.findById(req.params.id)) {
+    throw new NotFoundError('Category not found');
+  }
+
+  if (await posts.count({ category: req.params.id }) > 0) {
+    throw new ConflictError('Cannot delete a category that has posts', 'CATEGORY_IN_USE');
+  }
+
+  await categories.deleteById(req.params.id);
+
+  res.json({
+    success: true,
+    message: 'Category deleted successfully'
+  });
+}));
+
+module.exports = router;
@@ -1,73 +1,280 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query } = require('express-validator');
+const { getStorage } = require('../storage');
+const Post = require('../models/Post');
+const { requireAuth, optionalAuth, requireVerifiedEmail } = require('../middleware/auth');
+const { validateObjectId, checkWith, validateRequest } = require('../middleware/validation');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { ForbiddenError, NotFoundError } = require('../utils/errors');
+const {
+  visibilityFilter,
+  canViewPost,
+  canModifyPost,
+  canDeletePost,
+  canUnpublishPost
+} = require('../utils/postAccess');
+const { isValidObjectId, sanitizeString, validatePagination, validateDateRange } = require('../utils/validation');
+const { generateUniqueSlug } = require('../utils/slug');
 
 const router = express.Router();
 
-// Simple in-memory posts storage for testing
-const posts = [];
+// Shared by create and update; on update every field is optional.
+// Text fields are sanitized before their length is checked.
+const postValidators = ({ partial = false } = {}) => {
+  const field = (name, message) => (partial ? body(name, message).optional() : body(name, message));
 
-// Create a new post
-router.post('/', [
-  body('title').isLength({ min: 3 }).withMessage('Title must be at least 3 characters'),
-  body('content').isLength({ min: 10 }).withMessage('Content must be at least 10 characters')
-], (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
-    }
-
-    const { title, content } = req.body;
-
-    const post = {
-      id: Date.now().toString(),
-      title,
-      content,
-      author: 'testuser',
-      createdAt: new Date()
-    };
-
-    posts.push(post);
-
-    res.status(201).json({
-      success: true,
-      post
-    });
-  } catch (error) {
-    console.error('Create post error:', error);
-    res.status(500).json({ error: 'Failed to create post' });
+  return [
+    field('title', 'Title must be at least 3 characters').isString().bail().customSanitizer(sanitizeString).isLength({ min: 3 }),
+    field('content', 'Content must be at least 10 characters').isString().bail().customSanitizer(sanitizeString).isLength({ min: 10 }),
+    // null removes the category
+    body('category')
+      .optional({ values: 'null' })
+      .custom(isValidObjectId).withMessage('Invalid category id')
+      .bail()
+      .custom(async (id) => {
+        if (!await getStorage().categories.findById(id)) {
+          throw new Error('Category does not exist');
+        }
+      }),
+    body('tags').optional().isArray().withMessage('Tags must be an array'),
+    body('tags.*').isString().withMessage('Tags must be strings').bail().customSanitizer(sanitizeString),
+    body('status').optional().isIn(Post.STATUSES).withMessage(`Status must be one of: ${Post.STATUSES.join(', ')}`),
+    body('publishAt')
+      .if(body('status').equals('scheduled'))
+      .isISO8601().withMessage('publishAt must be a valid date when scheduling')
+      .bail()
+      .custom(value => new Date(value) > new Date()).withMessage('publishAt must be in the future')
+  ];
+};
+
+// Maps a requested status onto the stored lifecycle fields
+const publicationFields = (status, publishAt, existingPost = {}) => {
+  switch (status) {
+    case 'published':
+      return { status, publishAt: null, publishedAt: existingPost.publishedAt || new Date() };
+    case 'scheduled':
+      return { status, publishAt: new Date(publishAt) };
+    default:
+      return { status };
   }
+};
+
+// Accepts an array or a comma-separated string; returns unique lowercase tags
+const normalizeTags = (tags) => {
+  const list = Array.isArray(tags) ? tags : String(tags).split(',');
+  return [...new Set(list.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+};
+
+const sortFields = ['createdAt', 'title'];
+
+const uniquePostSlug = (title, excludeId) => generateUniqueSlug(title, async (slug) => {
+  const filter = { slug };
+  if (excludeId) filter._id = { $ne: excludeId };
+  return Boolean(await getStorage().posts.findOne(filter));
 });
 
-// Get all posts
-router.get('/', (req, res) => {
-  try {
-    res.json({
-      success: true,
-      posts
-    });
-  } catch (error) {
-    console.error('Get posts error:', error);
-    res.status(500).json({ error: 'Failed to get posts' });
+// Create a new post
+router.post('/', requireAuth, requireVerifiedEmail, postValidators(), validateRequest, asyncHandler(async (req, res) => {
+  const { title, content, category, tags, status = 'published', publishAt } = req.body;
+
+  const post = await getStorage().posts.create({
+    title,
+    content,
+    slug: await uniquePostSlug(title),
+    category,
+    tags: tags ? normalizeTags(tags) : [],
+    author: req.user._id,
+    ...publicationFields(status, publishAt)
+  });
+
+  res.status(201).json({
+    success: true,
+    post
+  });
+}));
+
+// Get posts, paginated (?page, ?limit), filtered (?category, ?author, ?tags, ?status, ?featured,
+// ?from and ?to on createdAt)
+// and sorted (?sort=createdAt|-createdAt|title|-title, newest first by default).
+// Only posts visible to the caller are returned. Apart from ?tags, repeating a
+// parameter (which makes its value an array) is rejected.
+router.get('/', optionalAuth, [
+  query('sort', 'Invalid sort field').optional().isString().bail().isIn(sortFields.flatMap(name => [name, `-${name}`])),
+  query('featured', 'featured must be true or false').optional().isString().bail().isBoolean(),
+  query('status', `Status must be one of: ${Post.STATUSES.join(', ')}`).optional().isString().bail().isIn(Post.STATUSES),
+  query('category').optional().custom(isValidObjectId).withMessage('Invalid category id'),
+  query('author').optional().custom(isValidObjectId).withMessage('Invalid author id'),
+  query(['from', 'to'], 'Dates must be given once').optional().isString(),
+  query('from').custom(checkWith((from, { req }) => validateDateRange(from, req.query.to)))
+], validateRequest, asyncHandler(async (req, res) => {
+  const { page, limit, skip } = validatePagination(req.query);
+  const { category, author, tags, status, featured, from, to, sort = '-createdAt' } = req.query;
+
+  const filter = {};
+  if (category) filter.category = category;
+  if (author) filter.author = author;
+  if (status) filter.status = status;
+  if (tags) filter.tags = { $in: normalizeTags(tags) };
+  if (featured !== undefined) filter.featured = featured === 'true';
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = new Date(from);
+    if (to) filter.createdAt.$lte = new Date(to);
   }
-});
+
+  const visibility = visibilityFilter(req.user);
+  if (visibility) filter.$and = [visibility];
+
+  const sortField = sort.replace(/^-/, '');
+  const sortOrder = sort.startsWith('-') ? -1 : 1;
+
+  const { posts } = getStorage();
+  const [results, total] = await Promise.all([
+    posts.find(filter, { sort: { [sortField]: sortOrder }, skip, limit }),
+    posts.count(filter)
+  ]);
+
+  res.json({
+    success: true,
+    posts: results,
+    total,
+    page,
+    pages: Math.ceil(total / limit)
+  });
+}));
+
+// Get a single post by slug
+router.get('/slug/:slug', optionalAuth, asyncHandler(async (req, res) => {
+  const post = await getStorage().posts.findOne({ slug: req.params.slug.toLowerCase() });
+  if (!post || !canViewPost(req.user, post)) {
+    throw new NotFoundError('Post not found');
+  }
+
+  res.json({
+    success: true,
+    post
+  });
+}));
 
 // Get a single post
-router.get('/:id', (req, res) => {
-  try {
-    const post = posts.find(p => p.id === req.params.id);
-    if (!post) {
-      return res.status(404).json({ error: 'Post not found' });
-    }
-
-    res.json({
-      success: true,
-      post
-    });
-  } catch (error) {
-    console.error('Get post error:', error);
-    res.status(500).json({ error: 'Failed to get post' });
+router.get('/:id', validateObjectId(), optionalAuth, asyncHandler(async (req, res) => {
+  const post = await getStorage().posts.findById(req.params.id);
+  if (!post || !canViewPost(req.user, post)) {
+    throw new NotFoundError('Post not found');
   }
-});
+
+  res.json({
+    success: true,
+    post
+  });
+}));
+
+// Update a post (author or admin only)
+router.put('/:id', requireAuth, validateObjectId(), postValidators({ partial: true }), validateRequest, asyncHandler(async (req, res) => {
+  const { posts } = getStorage();
+
+  const existingPost = await posts.findById(req.params.id);
+  if (!existingPost) {
+    throw new NotFoundError('Post not found');
+  }
+
+  if (!canModifyPost(req.user, existingPost)) {
+    throw new ForbiddenError('Not authorized to modify this post');
+  }
+
+  const { title, content, category, tags, status, publishAt } = req.body;
+  const updates = {};
+  if (title !== undefined) updates.title = title;
+  if (content !== undefined) updates.content = content;
+  if (category !== undefined) updates.category = category;
+  if (tags !== undefined) updates.tags = normalizeTags(tags);
+  if (status !== undefined) Object.assign(updates, publicationFields(status, publishAt, existingPost));
+
+  // Slugs follow the title until the post is first published, then stay
+  // fixed so shared links keep working
+  const titleChanged = title !== undefined && title !== existingPost.title;
+  if (!existingPost.slug || (titleChanged && !existingPost.publishedAt)) {
+    updates.slug = await uniquePostSlug(updates.title || existingPost.title, existingPost._id);
+  }
+
+  // The storage layer bumps updatedAt
+  const post = await posts.updateById(req.params.id, updates);
+
+  res.json({
+    success: true,
+    post
+  });
+}));
+
+// Delete a post (author or admin only)
+router.delete('/:id', requireAuth, validateObjectId(), asyncHandler(async (req, res) => {
+  const { posts } = getStorage();
+
+  const post = await posts.findById(req.params.id);
+  if (!post) {
+    throw new NotFoundError('Post not found');
+  }
+
+  if (!canDeletePost(req.user, post)) {
+    throw new ForbiddenError('Not authorized to modify this post');
+  }
+
+  await posts.deleteById(req.params.id);
+
+  res.json({
+    success: true,
+    message: 'Post deleted successfully'
+  });
+}));
+
+// Publish a post now, or schedule it when a future publishAt is given (author or admin only)
+router.post('/:id/publish', requireAuth, validateObjectId(), [
+  body('publishAt')
+    .optional()
+    .isISO8601().withMessage('publishAt must be a valid date')
+    .bail()
+    .custom(value => new Date(value) > new Date()).withMessage('publishAt must be in the future')
+], validateRequest, asyncHandler(async (req, res) => {
+  const { posts } = getStorage();
+
+  const existingPost = await posts.findById(req.params.id);
+  if (!existingPost) {
+    throw new NotFoundError('Post not found');
+  }
+
+  if (!canModifyPost(req.user, existingPost)) {
+    throw new ForbiddenError('Not authorized to modify this post');
+  }
+
+  const { publishAt } = req.body;
+  const status = publishAt ? 'scheduled' : 'published';
+  const post = await posts.updateById(req.params.id, publicationFields(status, publishAt, existingPost));
+
+  res.json({
+    success: true,
+    post
+  });
+}));
+
+// Move a post back to draft (author, moderator or admin)
+router.post('/:id/unpublish', requireAuth, validateObjectId(), asyncHandler(async (req, res) => {
+  const { posts } = getStorage();
+
+  const existingPost = await posts.findById(req.params.id);
+  if (!existingPost) {
+    throw new NotFoundError('Post not found');
+  }
+
+  if (!canUnpublishPost(req.user, existingPost)) {
+    throw new ForbiddenError('Not authorized to modify this post');
+  }
+
+  const post = await posts.updateById(req.params.id, { status: 'draft', publishAt: null });
+
+  res.json({
+    success: true,
+    post
+  });
+}));
 
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,37 @@
+const createMongoStorage = require('./mongo');
+const createMemoryStorage = require('./memory');
+const { getConfig } = require('../config');
+
+const drivers = {
+  mongo: createMongoStorage,
+  memory: createMemoryStorage
+};
+
+let storage = null;
+
+const createStorage = (driver = 'mongo') => {
+  const factory = drivers[driver];
+  if (!factory) {
+    throw new Error(`Unknown storage driver: ${driver}`);
+  }
+  return factory();
+};
+
+// Routes resolve the storage lazily so the driver can be chosen via
+// STORAGE_DRIVER (mongo | memory) before the first request
+const getStorage = () => {
+  if (!storage) {
+    storage = createStorage(getConfig().storageDriver);
+  }
+  return storage;
+};
+
+const setStorage = (instance) => {
+  storage = instance;
+};
+
+module.exports = {
+  createStorage,
+  getStorage,
+  setStorage
+};
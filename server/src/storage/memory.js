@@ -0,0 +1,291 @@
+const bcrypt = require('bcryptjs');
+const { Types } = require('mongoose');
+const { getConfig } = require('../config');
+
+// Supports the subset of MongoDB query syntax the routes use, so both drivers
+// can be handed the same filter objects
+
+const normalize = (value) => (value instanceof Date ? value.getTime() : value);
+
+const isEqual = (value, expected) => {
+  if (Array.isArray(value)) {
+    return value.some(item => isEqual(item, expected));
+  }
+  return normalize(value) === normalize(expected);
+};
+
+const testRegex = (value, pattern, flags) => {
+  const regex = pattern instanceof RegExp ? pattern : new RegExp(pattern, flags);
+  const values = Array.isArray(value) ? value : [value];
+  return values.some(item => typeof item === 'string' && regex.test(item));
+};
+
+const operators = {
+  $eq: (value, expected) => isEqual(value, expected),
+  $ne: (value, expected) => !isEqual(value, expected),
+  $in: (value, expected) => expected.some(item => isEqual(value, item)),
+  $nin: (value, expected) => !expected.some(item => isEqual(value, item)),
+  $all: (value, expected) => Array.isArray(value) && expected.every(item => isEqual(value, item)),
+  $gt: (value, expected) => value != null && normalize(value) > normalize(expected),
+  $gte: (value, expected) => value != null && normalize(value) >= normalize(expected),
+  $lt: (value, expected) => value != null && normalize(value) < normalize(expected),
+  $lte: (value, expected) => value != null && normalize(value) <= normalize(expected),
+  $exists: (value, expected) => (value !== undefined) === Boolean(expected)
+};
+
+const isOperatorObject = (condition) => (
+  condition !== null &&
+  typeof condition === 'object' &&
+  !(condition instanceof Date) &&
+  !(condition instanceof RegExp) &&
+  Object.keys(condition).some(key => key.startsWith('$'))
+);
+
+const matchesCondition = (value, condition) => {
+  if (condition instanceof RegExp) {
+    return testRegex(value, condition);
+  }
+
+  if (!isOperatorObject(condition)) {
+    return isEqual(value, condition);
+  }
+
+  return Object.entries(condition).every(([operator, expected]) => {
+    if (operator === '$regex') {
+      return testRegex(value, expected, condition.$options);
+    }
+    if (operator === '$options') {
+      return true;
+    }
+    if (!operators[operator]) {
+      throw new Error(`Unsupported query operator: ${operator}`);
+    }
+    return operators[operator](value, expected);
+  });
+};
+
+const matches = (record, filter = {}) => Object.entries(filter).every(([key, condition]) => {
+  if (key === '$or') {
+    return condition.some(subFilter => matches(record, subFilter));
+  }
+  if (key === '$and') {
+    return condition.every(subFilter => matches(record, subFilter));
+  }
+  return matchesCondition(record[key], condition);
+});
+
+const compareBy = (sort) => (a, b) => {
+  for (const [field, direction] of Object.entries(sort)) {
+    const left = normalize(a[field]);
+    const right = normalize(b[field]);
+    if (left < right) return -direction;
+    if (left > right) return direction;
+  }
+  return 0;
+};
+
+// Records are copied in and out so callers can never mutate stored state
+const clone = (value) => {
+  if (value instanceof Date) {
+    return new Date(value.getTime());
+  }
+  if (Array.isArray(value)) {
+    return value.map(clone);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+  }
+  return value;
+};
+
+// Undefined fields fall back to defaults, matching Mongoose
+const withoutUndefined = data => Object.fromEntries(
+  Object.entries(data).filter(([, value]) => value !== undefined)
+);
+
+// The update operators upsert supports
+const updateOperators = {
+  $set: (record, field, value) => {
+    record[field] = clone(value);
+  },
+  $inc: (record, field, amount) => {
+    record[field] = (record[field] || 0) + amount;
+  },
+  $max: (record, field, value) => {
+    if (record[field] == null || normalize(value) > normalize(record[field])) {
+      record[field] = clone(value);
+    }
+  }
+};
+
+const applyUpdate = (record, update) => {
+  Object.entries(update).forEach(([operator, fields]) => {
+    if (!updateOperators[operator]) {
+      throw new Error(`Unsupported update operator: ${operator}`);
+    }
+    Object.entries(fields).forEach(([field, value]) => updateOperators[operator](record, field, value));
+  });
+};
+
+// The plain equality conditions of a filter, which an upsert copies into the
+// record it inserts
+const equalityFields = filter => Object.fromEntries(
+  Object.entries(filter).filter(([key, condition]) => !key.startsWith('$') && !isOperatorObject(condition))
+);
+
+// expireAfterSeconds drops records that have not been updated for that long,
+// like a MongoDB TTL index on updatedAt
+const createCollection = ({
+  defaults = () => ({}),
+  beforeWrite = async data => data,
+  expireAfterSeconds = null
+} = {}) => {
+  let records = [];
+
+  const findIndex = id => records.findIndex(record => String(record._id) === String(id));
+
+  const removeExpired = () => {
+    if (expireAfterSeconds !== null) {
+      const cutoff = Date.now() - expireAfterSeconds * 1000;
+      records = records.filter(record => record.updatedAt.getTime() > cutoff);
+    }
+  };
+
+  return {
+    async create(data) {
+      removeExpired();
+      const now = new Date();
+      const record = {
+        ...defaults(),
+        ...(await beforeWrite(clone(withoutUndefined(data)))),
+        // ObjectId-compatible so ids look and validate the same under both drivers
+        _id: new Types.ObjectId().toString(),
+        createdAt: now,
+        updatedAt: now
+      };
+
+      records.push(record);
+      return clone(record);
+    },
+
+    async findById(id) {
+      removeExpired();
+      const index = findIndex(id);
+      return index === -1 ? null : clone(records[index]);
+    },
+
+    async findOne(filter) {
+      removeExpired();
+      const record = records.find(item => matches(item, filter));
+      return record ? clone(record) : null;
+    },
+
+    async find(filter = {}, { sort, skip = 0, limit } = {}) {
+      removeExpired();
+      let results = records.filter(record => matches(record, filter));
+      if (sort) {
+        results = [...results].sort(compareBy(sort));
+      }
+      results = results.slice(skip, limit ? skip + limit : undefined);
+      return results.map(record => clone(record));
+    },
+
+    async count(filter = {}) {
+      removeExpired();
+      return records.filter(record => matches(record, filter)).length;
+    },
+
+    async updateById(id, updates) {
+      removeExpired();
+      const index = findIndex(id);
+      if (index === -1) {
+        return null;
+      }
+
+      records[index] = {
+        ...records[index],
+        ...(await beforeWrite(clone(withoutUndefined(updates)))),
+        updatedAt: new Date()
+      };
+      return clone(records[index]);
+    },
+
+    // Applies $set, $inc and $max to the first matching record, inserting one
+    // when none matches, and returns the result. It never yields between the
+    // lookup and the write, so concurrent calls cannot lose updates. Like
+    // findOneAndUpdate, it skips beforeWrite.
+    async upsert(filter, update) {
+      removeExpired();
+      const now = new Date();
+      let record = records.find(item => matches(item, filter));
+      if (!record) {
+        record = {
+          ...defaults(),
+          ...clone(equalityFields(filter)),
+          _id: new Types.ObjectId().toString(),
+          createdAt: now
+        };
+        records.push(record);
+      }
+
+      applyUpdate(record, update);
+      record.updatedAt = now;
+      return clone(record);
+    },
+
+    async deleteById(id) {
+      removeExpired();
+      const index = findIndex(id);
+      if (index === -1) {
+        return null;
+      }
+
+      const [removed] = records.splice(index, 1);
+      return removed;
+    }
+  };
+};
+
+// Mirrors the password hashing done by the User model's save hook
+const hashUserPassword = async (data) => {
+  if (data.password) {
+    data.password = await bcrypt.hash(data.password, getConfig().bcryptRounds);
+  }
+  return data;
+};
+
+const createMemoryStorage = () => ({
+  driver: 'memory',
+  users: createCollection({
+    defaults: () => ({
+      role: 'user',
+      isActive: true,
+      twoFactorEnabled: false,
+      twoFactorSecret: null,
+      twoFactorPendingSecret: null,
+      twoFactorRecoveryCodes: [],
+      twoFactorLastCounter: null,
+      tokenVersion: 0
+    }),
+    beforeWrite: hashUserPassword
+  }),
+  posts: createCollection({
+    defaults: () => ({ status: 'published', publishAt: null, publishedAt: null, tags: [], featured: false })
+  }),
+  categories: createCollection({
+    defaults: () => ({ description: '', color: '#6c757d' })
+  }),
+  refreshTokens: createCollection({
+    defaults: () => ({ revokedAt: null, replacedBy: null })
+  }),
+  userTokens: createCollection({
+    defaults: () => ({ usedAt: null })
+  }),
+  // Matches the TTL index on the LoginAttempt model
+  loginAttempts: createCollection({
+    defaults: () => ({ failedAttempts: 0, lockUntil: null }),
+    expireAfterSeconds: 24 * 60 * 60
+  })
+});
+
+module.exports = createMemoryStorage;
@@ -0,0 +1,70 @@
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Category = require('../models/Category');
+const RefreshToken = require('../models/RefreshToken');
+const UserToken = require('../models/UserToken');
+const LoginAttempt = require('../models/LoginAttempt');
+
+const toPlainObject = doc => (doc && typeof doc.toObject === 'function' ? doc.toObject() : doc);
+
+// Wraps a Mongoose model in the repository interface shared with the memory driver.
+// Every method resolves to plain objects so routes never depend on Mongoose documents.
+const createRepository = (Model) => ({
+  async create(data) {
+    return toPlainObject(await Model.create(data));
+  },
+
+  async findById(id) {
+    return toPlainObject(await Model.findById(id));
+  },
+
+  async findOne(filter) {
+    return Model.findOne(filter).lean();
+  },
+
+  async find(filter = {}, { sort, skip, limit } = {}) {
+    const query = Model.find(filter);
+    if (sort) query.sort(sort);
+    if (skip) query.skip(skip);
+    if (limit) query.limit(limit);
+    return query.lean();
+  },
+
+  async count(filter = {}) {
+    return Model.countDocuments(filter);
+  },
+
+  // Loads and saves the document so schema validation and save hooks
+  // (e.g. password hashing) run on updates too
+  async updateById(id, updates) {
+    const doc = await Model.findById(id);
+    if (!doc) {
+      return null;
+    }
+
+    doc.set(updates);
+    await doc.save();
+    return toPlainObject(doc);
+  },
+
+  // Atomic, so concurrent calls cannot lose updates; save hooks do not run
+  async upsert(filter, update) {
+    return Model.findOneAndUpdate(filter, update, { new: true, upsert: true, setDefaultsOnInsert: true }).lean();
+  },
+
+  async deleteById(id) {
+    return Model.findByIdAndDelete(id).lean();
+  }
+});
+
+const createMongoStorage = () => ({
+  driver: 'mongo',
+  users: createRepository(User),
+  posts: createRepository(Post),
+  categories: createRepository(Category),
+  refreshTokens: createRepository(RefreshToken),
+  userTokens: createRepository(UserToken),
+  loginAttempts: createRepository(LoginAttempt)
+});
+
+module.exports = createMongoStorage;
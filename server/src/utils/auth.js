@@ -0,0 +1,126 @@
+const jwt = require('jsonwebtoken');
+const { getConfig } = require('../config');
+const { getStorage } = require('../storage');
+const logger = require('./logger');
+
+const generateToken = (user) => {
+  try {
+    if (!user || !user._id) {
+      throw new Error('User id is required');
+    }
+
+    const token = jwt.sign(
+      {
+        id: String(user._id),
+        email: user.email,
+        username: user.username,
+        role: user.role,
+        ver: user.tokenVersion || 0
+      },
+      getConfig().jwt.secret,
+      // Access tokens are short-lived; clients renew them with a refresh token
+      { expiresIn: getConfig().jwt.accessTokenExpiresIn }
+    );
+
+    logger.info(`Token generated for user: ${user.email}`);
+    return token;
+  } catch (error) {
+    logger.error('Token generation error', { error });
+    throw new Error('Failed to generate token');
+  }
+};
+
+const verifyToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, getConfig().jwt.secret);
+    logger.debug(`Token verified for user: ${decoded.email}`);
+    return decoded;
+  } catch (error) {
+    throw new Error('Invalid token');
+  }
+};
+
+const extractTokenFromHeader = (header) => {
+  if (!header || typeof header !== 'string') {
+    return null;
+  }
+
+  const [scheme, token] = header.split(' ');
+  if (scheme !== 'Bearer' || !token) {
+    return null;
+  }
+
+  return token;
+};
+
+// Resolves a token to an active user, or null when the token or user is not usable
+const getCurrentUser = async (token) => {
+  let decoded;
+  try {
+    decoded = verifyToken(token);
+  } catch (error) {
+    return null;
+  }
+
+  // Special-purpose tokens (e.g. two-factor login challenges) never authenticate requests
+  if (decoded.purpose) {
+    return null;
+  }
+
+  try {
+    const user = await getStorage().users.findById(decoded.id);
+    if (!user || user.isActive === false) {
+      return null;
+    }
+    // Tokens issued before the user's sessions were revoked are no longer valid
+    if ((decoded.ver || 0) !== (user.tokenVersion || 0)) {
+      return null;
+    }
+    return user;
+  } catch (error) {
+    logger.error('Get current user error', { error });
+    return null;
+  }
+};
+
+const hasRole = (user, roles) => {
+  if (!user || !user.role) {
+    return false;
+  }
+
+  const allowedRoles = Array.isArray(roles) ? roles : [roles];
+  return allowedRoles.includes(user.role);
+};
+
+const isAdmin = (user) => hasRole(user, 'admin');
+
+// EMAIL_VERIFICATION_REQUIRED_FOR controls what unverified users are kept from:
+// 'none' (default), 'post' (creating posts) or 'login' (logging in, and so everything)
+const VERIFICATION_LEVELS = { none: 0, post: 1, login: 2 };
+
+const isVerificationRequired = (action) => {
+  const level = VERIFICATION_LEVELS[getConfig().emailVerification.requiredFor];
+  return level >= VERIFICATION_LEVELS[action];
+};
+
+const isVerified = user => Boolean(user) && user.isVerified !== false;
+
+const isOwner = (user, resourceUserId) => {
+  if (!user || !user._id || !resourceUserId) {
+    return false;
+  }
+
+  return String(user._id) === String(resourceUserId);
+};
+
+module.exports = {
+  generateToken,
+  verifyToken,
+  extractTokenFromHeader,
+  getCurrentUser,
+  hasRole,
+  isAdmin,
+  isOwner,
+  isVerificationRequired,
+  isVerified
+};
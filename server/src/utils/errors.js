@@ -0,0 +1,71 @@
+// Typed errors thrown by routes and middleware. The central error handler turns
+// them into the API's error envelope: { error, code, details, requestId }.
+
+class AppError extends Error {
+  constructor(message, { status = 500, code = 'INTERNAL_ERROR', details } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// details is a list of { field, message } entries
+class ValidationError extends AppError {
+  constructor(message = 'Validation failed', details, code = 'VALIDATION_ERROR') {
+    super(message, { status: 400, code, details });
+  }
+}
+
+class AuthError extends AppError {
+  constructor(message = 'Authentication required', code = 'UNAUTHORIZED') {
+    super(message, { status: 401, code });
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(message = 'Insufficient permissions', code = 'FORBIDDEN') {
+    super(message, { status: 403, code });
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message = 'Resource not found', code = 'NOT_FOUND') {
+    super(message, { status: 404, code });
+  }
+}
+
+// Duplicates and state conflicts. Sent as 400 rather than 409 because existing
+// clients already treat these responses as 400s; the code tells them apart.
+class ConflictError extends AppError {
+  constructor(message, code = 'CONFLICT') {
+    super(message, { status: 400, code });
+  }
+}
+
+// retryAfter (seconds) is sent as the Retry-After header
+class LockedError extends AppError {
+  constructor(message, retryAfter, code = 'LOCKED') {
+    super(message, { status: 423, code });
+    this.retryAfter = retryAfter;
+  }
+}
+
+class TooManyRequestsError extends AppError {
+  constructor(message = 'Too many requests, please try again later', retryAfter, code = 'TOO_MANY_REQUESTS') {
+    super(message, { status: 429, code });
+    this.retryAfter = retryAfter;
+  }
+}
+
+module.exports = {
+  AppError,
+  ValidationError,
+  AuthError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  LockedError,
+  TooManyRequestsError
+};
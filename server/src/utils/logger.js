@@ -0,0 +1,91 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { getConfig } = require('../config');
+
+// Leveled JSON logger. Each entry is a single line so logs can be shipped and
+// queried as-is; the current request id is attached automatically.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const REDACTED = '[REDACTED]';
+// Two-factor and recovery codes work as credentials too. Only a key named
+// exactly "code" is masked, so error codes elsewhere stay readable.
+const SENSITIVE_KEY = /pass(word)?|token|secret|authorization|cookie|recoverycode|^code$/i;
+
+const requestContext = new AsyncLocalStorage();
+
+const serializeError = error => ({
+  name: error.name,
+  message: error.message,
+  ...(error.code && { code: error.code }),
+  stack: error.stack
+});
+
+// Deep-copies a value, masking sensitive keys and serializing errors
+const redact = (value, seen = new WeakSet()) => {
+  if (value instanceof Error) {
+    return serializeError(value);
+  }
+  if (!value || typeof value !== 'object' || value instanceof Date) {
+    return value;
+  }
+  if (seen.has(value)) {
+    return '[Circular]';
+  }
+  seen.add(value);
+
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, seen));
+  }
+
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => (
+    [key, SENSITIVE_KEY.test(key) ? REDACTED : redact(item, seen)]
+  )));
+};
+
+// Masks the values of sensitive query parameters, such as emailed tokens in
+// verification links
+const redactUrl = (url) => {
+  const queryStart = url.indexOf('?');
+  if (queryStart === -1) {
+    return url;
+  }
+
+  const query = url.slice(queryStart + 1).split('&').map((pair) => {
+    const [key] = pair.split('=');
+    return SENSITIVE_KEY.test(key) ? `${key}=${REDACTED}` : pair;
+  });
+  return `${url.slice(0, queryStart)}?${query.join('&')}`;
+};
+
+const currentLevel = () => LEVELS[getConfig().logLevel];
+
+const write = (level, message, meta = {}) => {
+  if (LEVELS[level] < currentLevel()) {
+    return;
+  }
+
+  const context = requestContext.getStore();
+  const entry = {
+    timestamp: new Date().toISOString(),
+    level,
+    message,
+    ...(context && { requestId: context.requestId }),
+    ...redact(meta && typeof meta === 'object' ? meta : { meta })
+  };
+
+  const output = level === 'error' ? console.error : level === 'warn' ? console.warn : console.log;
+  output(JSON.stringify(entry));
+};
+
+const logger = {
+  debug: (message, meta) => write('debug', message, meta),
+  info: (message, meta) => write('info', message, meta),
+  warn: (message, meta) => write('warn', message, meta),
+  error: (message, meta) => write('error', message, meta),
+  // Runs fn with the given context so every entry logged inside it carries the request id
+  runWithContext: (context, fn) => requestContext.run(context, fn),
+  getRequestId: () => requestContext.getStore()?.requestId,
+  redact,
+  redactUrl
+};
+
+module.exports = logger;
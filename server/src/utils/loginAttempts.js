@@ -0,0 +1,56 @@
+const { getStorage } = require('../storage');
+const { getConfig } = require('../config');
+const logger = require('./logger');
+
+// After LOGIN_MAX_ATTEMPTS consecutive failures an address is locked for
+// LOGIN_LOCKOUT_SECONDS, doubling with every further failure up to an hour
+
+const MAX_LOCKOUT_MS = 60 * 60 * 1000;
+
+const maxAttempts = () => getConfig().login.maxAttempts;
+const baseLockout = () => getConfig().login.lockoutSeconds * 1000;
+
+const lockoutDuration = (failedAttempts) => {
+  const extraFailures = failedAttempts - maxAttempts();
+  if (extraFailures < 0) {
+    return 0;
+  }
+  return Math.min(baseLockout() * 2 ** extraFailures, MAX_LOCKOUT_MS);
+};
+
+// Milliseconds until the address may try again, 0 when it is not locked
+const getLockRemaining = async (email) => {
+  const attempt = await getStorage().loginAttempts.findOne({ email });
+  if (!attempt || !attempt.lockUntil) {
+    return 0;
+  }
+  return Math.max(new Date(attempt.lockUntil).getTime() - Date.now(), 0);
+};
+
+// Counts with atomic upserts, so concurrent failures for the same address are
+// all counted and never collide on its unique record
+const recordFailedLogin = async (email) => {
+  const { loginAttempts } = getStorage();
+  const { failedAttempts } = await loginAttempts.upsert({ email }, { $inc: { failedAttempts: 1 } });
+  const duration = lockoutDuration(failedAttempts);
+
+  if (duration) {
+    // $max keeps the longest lock when failures race
+    await loginAttempts.upsert({ email }, { $max: { lockUntil: new Date(Date.now() + duration) } });
+    logger.warn('Login locked after repeated failures', { email, failedAttempts, lockoutMs: duration });
+  }
+};
+
+const clearFailedLogins = async (email) => {
+  const { loginAttempts } = getStorage();
+  const attempt = await loginAttempts.findOne({ email });
+  if (attempt) {
+    await loginAttempts.deleteById(attempt._id);
+  }
+};
+
+module.exports = {
+  getLockRemaining,
+  recordFailedLogin,
+  clearFailedLogins
+};
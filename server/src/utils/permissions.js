@@ -0,0 +1,26 @@
+const { hasRole } = require('./auth');
+
+// Which roles may perform each action. "Own" actions (editing your own posts)
+// are checked against ownership in the routes; these entries cover acting on
+// anyone's resources.
+const PERMISSIONS = {
+  'posts:read:any': ['moderator', 'admin'],
+  'posts:update:any': ['admin'],
+  'posts:delete:any': ['admin'],
+  'posts:unpublish:any': ['moderator', 'admin'],
+  'categories:manage': ['admin'],
+  'users:manage': ['admin']
+};
+
+const can = (user, permission) => {
+  const roles = PERMISSIONS[permission];
+  if (!roles) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+  return hasRole(user, roles);
+};
+
+module.exports = {
+  PERMISSIONS,
+  can
+};
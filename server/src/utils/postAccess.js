@@ -0,0 +1,42 @@
+const { isOwner } = require('./auth');
+const { can } = require('./permissions');
+
+// Published posts, plus scheduled posts whose publishAt has passed
+const publicFilter = () => ({
+  $or: [
+    { status: 'published' },
+    { status: 'scheduled', publishAt: { $lte: new Date() } }
+  ]
+});
+
+const isPubliclyVisible = post => (
+  post.status === 'published' ||
+  (post.status === 'scheduled' && post.publishAt && new Date(post.publishAt) <= new Date())
+);
+
+// Moderators and admins see everything, authors also see their own unpublished posts
+const visibilityFilter = (user) => {
+  if (can(user, 'posts:read:any')) {
+    return null;
+  }
+  if (user) {
+    return { $or: [...publicFilter().$or, { author: user._id }] };
+  }
+  return publicFilter();
+};
+
+const canViewPost = (user, post) => (
+  isPubliclyVisible(post) || isOwner(user, post.author) || can(user, 'posts:read:any')
+);
+const canModifyPost = (user, post) => isOwner(user, post.author) || can(user, 'posts:update:any');
+const canDeletePost = (user, post) => isOwner(user, post.author) || can(user, 'posts:delete:any');
+const canUnpublishPost = (user, post) => isOwner(user, post.author) || can(user, 'posts:unpublish:any');
+
+module.exports = {
+  publicFilter,
+  visibilityFilter,
+  canViewPost,
+  canModifyPost,
+  canDeletePost,
+  canUnpublishPost
+};
@@ -0,0 +1,92 @@
+const crypto = require('crypto');
+const { getConfig } = require('../config');
+const { getStorage } = require('../storage');
+const { AuthError } = require('./errors');
+const logger = require('./logger');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const refreshTokenLifetime = () => getConfig().jwt.refreshTokenTtlDays * DAY;
+
+// Refresh tokens are opaque random strings; only their SHA-256 hash is stored
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+// Issues a refresh token for the user. Pass the family of the token being
+// rotated to keep it in the same session; a new login starts a new family.
+const issueRefreshToken = async (user, family = crypto.randomUUID()) => {
+  const token = crypto.randomBytes(48).toString('base64url');
+
+  await getStorage().refreshTokens.create({
+    user: user._id,
+    tokenHash: hashToken(token),
+    family,
+    expiresAt: new Date(Date.now() + refreshTokenLifetime())
+  });
+
+  return token;
+};
+
+const revokeFamily = async (family) => {
+  const { refreshTokens } = getStorage();
+  const active = await refreshTokens.find({ family, revokedAt: null });
+  await Promise.all(active.map(record => refreshTokens.updateById(record._id, { revokedAt: new Date() })));
+};
+
+// Ends every session of the user: revokes all refresh tokens and bumps the
+// token version so outstanding access tokens stop working too
+const revokeAllSessions = async (userId) => {
+  const { refreshTokens, users } = getStorage();
+  const active = await refreshTokens.find({ user: userId, revokedAt: null });
+  await Promise.all(active.map(record => refreshTokens.updateById(record._id, { revokedAt: new Date() })));
+
+  const user = await users.findById(userId);
+  if (user) {
+    await users.updateById(userId, { tokenVersion: (user.tokenVersion || 0) + 1 });
+  }
+};
+
+// Exchanges a refresh token for a new one in the same family. Presenting a
+// token that was already rotated means it was copied, so every session of
+// its owner is revoked.
+const rotateRefreshToken = async (token) => {
+  const { refreshTokens, users } = getStorage();
+  const record = await refreshTokens.findOne({ tokenHash: hashToken(String(token)) });
+
+  if (!record || record.expiresAt <= new Date()) {
+    throw new AuthError('Invalid refresh token', 'INVALID_REFRESH_TOKEN');
+  }
+
+  if (record.revokedAt) {
+    if (record.replacedBy) {
+      logger.warn('Refresh token reuse detected', { userId: String(record.user), family: record.family });
+      await revokeAllSessions(record.user);
+    }
+    throw new AuthError('Invalid refresh token', 'INVALID_REFRESH_TOKEN');
+  }
+
+  const user = await users.findById(record.user);
+  if (!user || user.isActive === false) {
+    await revokeFamily(record.family);
+    throw new AuthError('Invalid refresh token', 'INVALID_REFRESH_TOKEN');
+  }
+
+  const refreshToken = await issueRefreshToken(user, record.family);
+  await refreshTokens.updateById(record._id, { revokedAt: new Date(), replacedBy: hashToken(refreshToken) });
+
+  return { user, refreshToken };
+};
+
+// Revokes the session the token belongs to; unknown tokens are ignored
+const revokeRefreshToken = async (token) => {
+  const record = await getStorage().refreshTokens.findOne({ tokenHash: hashToken(String(token)) });
+  if (record) {
+    await revokeFamily(record.family);
+  }
+};
+
+module.exports = {
+  issueRefreshToken,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllSessions
+};
@@ -0,0 +1,27 @@
+// Turns arbitrary text into a lowercase, hyphen-separated URL segment
+const slugify = (text) => String(text || '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/&/g, ' and ')
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+// Appends -2, -3, ... to the slugified text until isTaken(slug) resolves false
+const generateUniqueSlug = async (text, isTaken) => {
+  const base = slugify(text) || 'untitled';
+  let slug = base;
+  let suffix = 2;
+
+  while (await isTaken(slug)) {
+    slug = `${base}-${suffix}`;
+    suffix += 1;
+  }
+
+  return slug;
+};
+
+module.exports = {
+  slugify,
+  generateUniqueSlug
+};
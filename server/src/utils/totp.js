@@ -0,0 +1,100 @@
+const crypto = require('crypto');
+
+// Time-based one-time passwords (RFC 6238) as used by authenticator apps:
+// HMAC-SHA1, 6 digits, 30 second steps. Every function takes the time
+// explicitly (defaulting to now) so codes can be computed for a fixed clock.
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) {
+    bits += byte.toString(2).padStart(8, '0');
+  }
+
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (text) => {
+  const clean = text.replace(/=+$/, '').replace(/\s/g, '').toUpperCase();
+
+  let bits = '';
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    bits += index.toString(2).padStart(5, '0');
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+// 160-bit secret, the size recommended for HMAC-SHA1
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const counterAt = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS);
+
+// HOTP (RFC 4226) for a single counter value
+const generateCode = (secret, counter) => {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(buffer).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+const generateTotp = (secret, time = Date.now()) => generateCode(secret, counterAt(time));
+
+// Returns the counter the code matches, allowing `window` steps of clock drift
+// either way, or null when it matches none
+const verifyTotp = (secret, code, { time = Date.now(), window = 1 } = {}) => {
+  if (typeof code !== 'string' || !/^\d{6}$/.test(code)) {
+    return null;
+  }
+
+  const current = counterAt(time);
+  for (let offset = -window; offset <= window; offset++) {
+    const expected = generateCode(secret, current + offset);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+      return current + offset;
+    }
+  }
+  return null;
+};
+
+// URI understood by authenticator apps (usually shown as a QR code)
+const buildOtpauthUri = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  // Authenticator apps expect %20 rather than + for spaces
+  return `otpauth://totp/${label}?${params.toString().replace(/\+/g, '%20')}`;
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUri
+};
@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { getConfig } = require('../config');
+const { verifyTotp } = require('./totp');
+
+const CHALLENGE_PURPOSE = '2fa-challenge';
+const RECOVERY_CODE_COUNT = 10;
+
+const jwtSecret = () => getConfig().jwt.secret;
+
+const hashRecoveryCode = code => crypto
+  .createHash('sha256')
+  .update(String(code).replace(/[\s-]/g, '').toLowerCase())
+  .digest('hex');
+
+// Recovery codes look like "a1b2c-3d4e5"; only their hashes are stored
+const createRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+// Checks a TOTP code or a recovery code for a user with 2FA enabled. Returns the
+// user updates that consume it (so it cannot be used again), or null when invalid.
+const checkSecondFactor = (user, { code, recoveryCode }, time = Date.now()) => {
+  if (code) {
+    const counter = verifyTotp(user.twoFactorSecret, String(code), { time });
+    const lastCounter = user.twoFactorLastCounter == null ? -1 : user.twoFactorLastCounter;
+    return counter !== null && counter > lastCounter ? { twoFactorLastCounter: counter } : null;
+  }
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const remaining = (user.twoFactorRecoveryCodes || []).filter(stored => stored !== hash);
+    return remaining.length < (user.twoFactorRecoveryCodes || []).length
+      ? { twoFactorRecoveryCodes: remaining }
+      : null;
+  }
+
+  return null;
+};
+
+// Short-lived token proving the password step of a two-step login succeeded
+const issueChallengeToken = user => jwt.sign(
+  { id: String(user._id), purpose: CHALLENGE_PURPOSE },
+  jwtSecret(),
+  { expiresIn: getConfig().jwt.challengeExpiresIn }
+);
+
+// Returns the user id from a valid challenge token, or null
+const verifyChallengeToken = (token) => {
+  try {
+    const decoded = jwt.verify(String(token), jwtSecret());
+    return decoded.purpose === CHALLENGE_PURPOSE ? decoded.id : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  createRecoveryCodes,
+  checkSecondFactor,
+  issueChallengeToken,
+  verifyChallengeToken
+};
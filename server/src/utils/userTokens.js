@@ -0,0 +1,47 @@
+const crypto = require('crypto');
+const { getStorage } = require('../storage');
+
+const MINUTE = 60 * 1000;
+
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+// Creates a single-use token for the given purpose. Any earlier unused token
+// for the same purpose stops working, so only the latest emailed link is valid.
+const issueUserToken = async (user, purpose, lifetimeMinutes) => {
+  const { userTokens } = getStorage();
+
+  const pending = await userTokens.find({ user: user._id, purpose, usedAt: null });
+  await Promise.all(pending.map(record => userTokens.deleteById(record._id)));
+
+  const token = crypto.randomBytes(32).toString('hex');
+  await userTokens.create({
+    user: user._id,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + lifetimeMinutes * MINUTE)
+  });
+
+  return token;
+};
+
+// Marks a valid token as used and returns the id of its user, or null when the
+// token is unknown, expired or already used
+const consumeUserToken = async (token, purpose) => {
+  if (typeof token !== 'string' || !token) {
+    return null;
+  }
+
+  const { userTokens } = getStorage();
+  const record = await userTokens.findOne({ tokenHash: hashToken(token), purpose, usedAt: null });
+  if (!record || record.expiresAt <= new Date()) {
+    return null;
+  }
+
+  await userTokens.updateById(record._id, { usedAt: new Date() });
+  return record.user;
+};
+
+module.exports = {
+  issueUserToken,
+  consumeUserToken
+};
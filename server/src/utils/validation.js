@@ -0,0 +1,144 @@
+const PASSWORD_SPECIAL_CHARACTERS = /[!@#$%^&*]/;
+const USERNAME_PATTERN = /^[a-zA-Z0-9_]+$/;
+const MB = 1024 * 1024;
+
+const isValidEmail = (email) => {
+  if (typeof email !== 'string') {
+    return false;
+  }
+
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+};
+
+const validatePassword = (password) => {
+  if (!password || typeof password !== 'string') {
+    return { isValid: false, errors: ['Password is required'] };
+  }
+
+  const errors = [];
+  if (password.length < 6) {
+    errors.push('Password must be at least 6 characters long');
+  }
+  if (!/[A-Z]/.test(password)) {
+    errors.push('Password must contain at least one uppercase letter');
+  }
+  if (!/[0-9]/.test(password)) {
+    errors.push('Password must contain at least one number');
+  }
+  if (!PASSWORD_SPECIAL_CHARACTERS.test(password)) {
+    errors.push('Password must contain at least one special character (!@#$%^&*)');
+  }
+
+  return { isValid: errors.length === 0, errors };
+};
+
+const validateUsername = (username) => {
+  if (!username || typeof username !== 'string') {
+    return { isValid: false, errors: ['Username is required'] };
+  }
+
+  const errors = [];
+  if (username.length < 3) {
+    errors.push('Username must be at least 3 characters long');
+  }
+  if (username.length > 30) {
+    errors.push('Username must be no more than 30 characters long');
+  }
+  if (!USERNAME_PATTERN.test(username)) {
+    errors.push('Username can only contain letters, numbers, and underscores');
+  }
+
+  return { isValid: errors.length === 0, errors };
+};
+
+// 24-character hex strings, the format of MongoDB ObjectIds
+const isValidObjectId = id => typeof id === 'string' && /^[0-9a-fA-F]{24}$/.test(id);
+
+// Strips markup characters so stored text cannot carry HTML tags. Other
+// characters are kept as written; escaping them here would double-escape
+// text every time a post is saved back, so clients escape on render.
+const sanitizeString = (value) => {
+  if (typeof value !== 'string') {
+    return '';
+  }
+
+  return value.trim().replace(/[<>]/g, '');
+};
+
+const validatePagination = ({ page, limit } = {}) => {
+  const parsedPage = parseInt(page, 10);
+  const parsedLimit = parseInt(limit, 10);
+
+  const validPage = Number.isNaN(parsedPage) ? 1 : Math.max(parsedPage, 1);
+  const validLimit = Number.isNaN(parsedLimit) ? 10 : Math.min(Math.max(parsedLimit, 1), 100);
+
+  return {
+    page: validPage,
+    limit: validLimit,
+    skip: (validPage - 1) * validLimit
+  };
+};
+
+// Search terms are matched against stored data rather than rendered, so only
+// markup characters are stripped (escaping entities would break matching)
+const validateSearchQuery = (query) => {
+  if (typeof query !== 'string') {
+    return '';
+  }
+
+  return query.trim().replace(/[<>]/g, '').slice(0, 100);
+};
+
+// Either date may be omitted; when both are given the range must be ordered
+const validateDateRange = (startDate, endDate) => {
+  const errors = [];
+  const start = startDate ? new Date(startDate) : null;
+  const end = endDate ? new Date(endDate) : null;
+
+  if (start && Number.isNaN(start.getTime())) {
+    errors.push('Invalid start date format');
+  }
+  if (end && Number.isNaN(end.getTime())) {
+    errors.push('Invalid end date format');
+  }
+  if (errors.length === 0 && start && end && start > end) {
+    errors.push('Start date must be before end date');
+  }
+
+  return { isValid: errors.length === 0, errors };
+};
+
+const validateFileUpload = (file, {
+  maxSize = 5 * MB,
+  allowedTypes = ['image/jpeg', 'image/png', 'image/gif']
+} = {}) => {
+  if (!file) {
+    return { isValid: false, errors: ['File is required'] };
+  }
+
+  const errors = [];
+  if (file.size > maxSize) {
+    errors.push(`File size must be less than ${maxSize / MB}MB`);
+  }
+  if (!allowedTypes.includes(file.mimetype)) {
+    errors.push(`File type must be one of: ${allowedTypes.join(', ')}`);
+  }
+
+  return { isValid: errors.length === 0, errors };
+};
+
+// Escapes user input before it is used to build a RegExp
+const escapeRegex = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = {
+  isValidEmail,
+  validatePassword,
+  validateUsername,
+  isValidObjectId,
+  sanitizeString,
+  validatePagination,
+  validateSearchQuery,
+  validateDateRange,
+  validateFileUpload,
+  escapeRegex
+};
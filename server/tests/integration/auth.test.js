@@ -1,24 +1,22 @@
 // server/tests/integration/auth.test.js - Integration tests for auth routes
 
 const request = require('supertest');
-const mongoose = require('mongoose');
-const { MongoMemoryServer } = require('mongodb-memory-server');
 const app = require('../../src/app');
 const User = require('../../src/models/User');
 const { generateToken } = require('../../src/utils/auth');
+const { generateTotp } = require('../../src/utils/totp');
+const { getStorage } = require('../../src/storage');
+const { resetConfig } = require('../../src/config');
+const { createMailer, setMailer } = require('../../src/mail');
 
-let mongoServer;
+// The in-memory MongoDB connection and per-test cleanup come from tests/setup.js,
+// so the test users are recreated before each test
 let adminUser;
 let regularUser;
 let adminToken;
 let userToken;
 
-// Setup in-memory MongoDB server before all tests
-beforeAll(async () => {
-  mongoServer = await MongoMemoryServer.create();
-  const mongoUri = mongoServer.getUri();
-  await mongoose.connect(mongoUri);
-
+beforeEach(async () => {
   // Create test users
   adminUser = await User.create({
     username: 'admin',
@@ -38,24 +36,19 @@ beforeAll(async () => {
   userToken = generateToken(regularUser);
 });
 
-// Clean up after all tests
-afterAll(async () => {
-  await mongoose.disconnect();
-  await mongoServer.stop();
-});
+// Emails go to a fresh in-memory outbox per test; links carry their token
+let mailer;
 
-// Clean up database between tests
-afterEach(async () => {
-  // Keep the test users, but clean up any other created data
-  const collections = mongoose.connection.collections;
-  for (const key in collections) {
-    const collection = collections[key];
-    if (collection.collectionName !== 'users') {
-      await collection.deleteMany({});
-    }
-  }
+beforeEach(() => {
+  mailer = createMailer('memory');
+  setMailer(mailer);
 });
 
+const tokenFromLastEmail = () => {
+  const { link } = mailer.outbox[mailer.outbox.length - 1];
+  return new URL(link).searchParams.get('token');
+};
+
 describe('POST /api/auth/register', () => {
   it('should register a new user successfully', async () => {
     const newUser = {
@@ -203,6 +196,17 @@ describe('POST /api/auth/login', () => {
     expect(res.status).toBe(401);
     expect(res.body.error).toBe('Account is deactivated');
   });
+
+  it('should return 400 for a password that is not a string', async () => {
+    const responses = await Promise.all([123, { $gt: '' }].map(password => request(app)
+      .post('/api/auth/login')
+      .send({ email: 'user@example.com', password })));
+
+    responses.forEach((res) => {
+      expect(res.status).toBe(400);
+      expect(res.body.details[0].message).toBe('Password is required');
+    });
+  });
 });
 
 describe('GET /api/auth/me', () => {
@@ -252,6 +256,37 @@ describe('PUT /api/auth/profile', () => {
     expect(res.body.user.email).toBe(updates.email);
   });
 
+  it('should require a changed email to be verified again', async () => {
+    const res = await request(app)
+      .put('/api/auth/profile')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ email: 'new-address@example.com' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.user.isVerified).toBe(false);
+    expect(mailer.outbox).toHaveLength(1);
+    expect(mailer.outbox[0].to).toBe('new-address@example.com');
+
+    const verify = await request(app).get(`/api/auth/verify-email?token=${tokenFromLastEmail()}`);
+    expect(verify.status).toBe(200);
+
+    const me = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${userToken}`);
+    expect(me.body.user.isVerified).toBe(true);
+  });
+
+  it('should keep the account verified when the email is unchanged', async () => {
+    const res = await request(app)
+      .put('/api/auth/profile')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ email: 'USER@example.com', username: 'renamed' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.user.isVerified).toBe(true);
+    expect(mailer.outbox).toHaveLength(0);
+  });
+
   it('should return 401 without authentication', async () => {
     const updates = { username: 'test' };
 
@@ -307,6 +342,33 @@ describe('PUT /api/auth/password', () => {
     expect(res.body.message).toBe('Password changed successfully');
   });
 
+  it('should end existing sessions and start a new one for the caller', async () => {
+    const other = await login('user@example.com', 'UserPass123!');
+    const current = await login('user@example.com', 'UserPass123!');
+
+    const res = await request(app)
+      .put('/api/auth/password')
+      .set('Authorization', `Bearer ${current.token}`)
+      .send({ currentPassword: 'UserPass123!', newPassword: 'NewPassword123!' });
+
+    expect(res.status).toBe(200);
+
+    // Tokens issued before the change no longer work, on any device
+    for (const session of [other, current]) {
+      const me = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${session.token}`);
+      expect(me.status).toBe(401);
+      expect((await refresh(session.refreshToken)).status).toBe(401);
+    }
+
+    const me = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${res.body.token}`);
+    expect(me.status).toBe(200);
+    expect((await refresh(res.body.refreshToken)).status).toBe(200);
+  });
+
   it('should return 400 for incorrect current password', async () => {
     const passwordData = {
       currentPassword: 'WrongPassword123!',
@@ -322,6 +384,16 @@ describe('PUT /api/auth/password', () => {
     expect(res.body.error).toBe('Current password is incorrect');
   });
 
+  it('should return 400 for a current password that is not a string', async () => {
+    const res = await request(app)
+      .put('/api/auth/password')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ currentPassword: 123, newPassword: 'NewPassword123!' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details[0].message).toBe('Current password is required');
+  });
+
   it('should return 400 for weak new password', async () => {
     const passwordData = {
       currentPassword: 'UserPass123!',
@@ -409,4 +481,685 @@ describe('GET /api/auth/users', () => {
     expect(res.body.users.length).toBe(10);
     expect(res.body.totalPages).toBeGreaterThan(1);
   });
-}); 
\ No newline at end of file
+}); 
+
+describe('PUT /api/auth/users/:id', () => {
+  const updateUser = (id, updates, token = adminToken) => request(app)
+    .put(`/api/auth/users/${id}`)
+    .set('Authorization', `Bearer ${token}`)
+    .send(updates);
+
+  it('should change a user\'s role when admin', async () => {
+    const res = await updateUser(regularUser._id, { role: 'moderator' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.user.role).toBe('moderator');
+    expect(res.body.user.isActive).toBe(true);
+
+    const me = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${userToken}`);
+    expect(me.body.user.role).toBe('moderator');
+  });
+
+  it('should return 403 for non-admin user', async () => {
+    const res = await updateUser(adminUser._id, { role: 'user' }, userToken);
+
+    expect(res.status).toBe(403);
+    expect(res.body.error).toBe('Insufficient permissions');
+  });
+
+  it('should not let admins change their own role or status', async () => {
+    const res = await updateUser(adminUser._id, { role: 'user' });
+
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('CANNOT_MODIFY_SELF');
+  });
+
+  it('should return 400 for an invalid role or status', async () => {
+    const responses = await Promise.all([
+      updateUser(regularUser._id, { role: 'superuser' }),
+      updateUser(regularUser._id, { role: ['admin'] }),
+      updateUser(regularUser._id, { isActive: 'no' }),
+    ]);
+
+    responses.forEach(res => expect(res.status).toBe(400));
+  });
+
+  it('should return 404 for an unknown user', async () => {
+    const res = await updateUser('507f1f77bcf86cd799439011', { role: 'moderator' });
+
+    expect(res.status).toBe(404);
+  });
+
+  it('should return 400 for a malformed id', async () => {
+    const res = await updateUser('not-an-id', { role: 'moderator' });
+
+    expect(res.status).toBe(400);
+  });
+
+  it('should block login and end existing sessions when deactivating', async () => {
+    const res = await updateUser(regularUser._id, { isActive: false });
+
+    expect(res.status).toBe(200);
+    expect(res.body.user.isActive).toBe(false);
+
+    const me = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${userToken}`);
+    expect(me.status).toBe(401);
+
+    const loginRes = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'user@example.com', password: 'UserPass123!' });
+    expect(loginRes.status).toBe(401);
+    expect(loginRes.body.error).toBe('Account is deactivated');
+  });
+
+  it('should allow login again once reactivated', async () => {
+    await updateUser(regularUser._id, { isActive: false });
+    await updateUser(regularUser._id, { isActive: true });
+
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'user@example.com', password: 'UserPass123!' });
+    expect(res.status).toBe(200);
+  });
+});
+
+// Logs in through the API and returns the response body (tokens and user)
+const login = async (email, password) => {
+  const res = await request(app)
+    .post('/api/auth/login')
+    .send({ email, password });
+  return res.body;
+};
+
+const refresh = refreshToken => request(app)
+  .post('/api/auth/refresh')
+  .send({ refreshToken });
+
+describe('POST /api/auth/refresh', () => {
+  it('should issue a new access token and refresh token', async () => {
+    const session = await login('user@example.com', 'UserPass123!');
+
+    const res = await refresh(session.refreshToken);
+
+    expect(res.status).toBe(200);
+    expect(res.body.user.email).toBe('user@example.com');
+    expect(res.body).toHaveProperty('token');
+    expect(res.body.refreshToken).not.toBe(session.refreshToken);
+
+    const me = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${res.body.token}`);
+    expect(me.status).toBe(200);
+  });
+
+  it('should revoke the whole session when a rotated token is reused', async () => {
+    const session = await login('user@example.com', 'UserPass123!');
+    const rotated = await refresh(session.refreshToken);
+
+    const reuse = await refresh(session.refreshToken);
+    expect(reuse.status).toBe(401);
+    expect(reuse.body.code).toBe('INVALID_REFRESH_TOKEN');
+
+    // The token issued by the legitimate rotation is revoked as well
+    const latest = await refresh(rotated.body.refreshToken);
+    expect(latest.status).toBe(401);
+
+    const me = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${rotated.body.token}`);
+    expect(me.status).toBe(401);
+  });
+
+  it('should return 401 for an unknown refresh token', async () => {
+    const res = await refresh('not-a-real-token');
+
+    expect(res.status).toBe(401);
+    expect(res.body.error).toBe('Invalid refresh token');
+  });
+
+  it('should return 401 once the account is deactivated', async () => {
+    const session = await login('user@example.com', 'UserPass123!');
+    await request(app)
+      .put(`/api/auth/users/${regularUser._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ isActive: false });
+
+    const res = await refresh(session.refreshToken);
+
+    expect(res.status).toBe(401);
+  });
+
+  it('should return 400 without a refresh token', async () => {
+    const res = await request(app)
+      .post('/api/auth/refresh')
+      .send({});
+
+    expect(res.status).toBe(400);
+    expect(res.body.details[0].message).toBe('Refresh token is required');
+  });
+});
+
+describe('POST /api/auth/logout', () => {
+  it('should revoke the refresh token without requiring an access token', async () => {
+    const session = await login('user@example.com', 'UserPass123!');
+
+    const res = await request(app)
+      .post('/api/auth/logout')
+      .send({ refreshToken: session.refreshToken });
+
+    expect(res.status).toBe(200);
+    expect(res.body.message).toBe('Logged out successfully');
+
+    const afterLogout = await refresh(session.refreshToken);
+    expect(afterLogout.status).toBe(401);
+  });
+
+  it('should revoke tokens rotated from the same session', async () => {
+    const session = await login('user@example.com', 'UserPass123!');
+    const rotated = await refresh(session.refreshToken);
+
+    await request(app)
+      .post('/api/auth/logout')
+      .send({ refreshToken: session.refreshToken });
+
+    const res = await refresh(rotated.body.refreshToken);
+    expect(res.status).toBe(401);
+  });
+
+  it('should leave other sessions of the user active', async () => {
+    const first = await login('user@example.com', 'UserPass123!');
+    const second = await login('user@example.com', 'UserPass123!');
+
+    await request(app)
+      .post('/api/auth/logout')
+      .send({ refreshToken: first.refreshToken });
+
+    const res = await refresh(second.refreshToken);
+    expect(res.status).toBe(200);
+  });
+
+  it('should succeed for unknown refresh tokens', async () => {
+    const res = await request(app)
+      .post('/api/auth/logout')
+      .send({ refreshToken: 'not-a-real-token' });
+
+    expect(res.status).toBe(200);
+  });
+
+  it('should return 400 without a refresh token', async () => {
+    const res = await request(app)
+      .post('/api/auth/logout')
+      .send({});
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('POST /api/auth/forgot-password', () => {
+  const forgotPassword = email => request(app)
+    .post('/api/auth/forgot-password')
+    .send({ email });
+
+  it('should respond the same for known and unknown emails', async () => {
+    const known = await forgotPassword('user@example.com');
+    const unknown = await forgotPassword('nobody@example.com');
+
+    expect(known.status).toBe(200);
+    expect(unknown.status).toBe(known.status);
+    expect(unknown.body).toEqual(known.body);
+  });
+
+  it('should only email accounts that exist', async () => {
+    await forgotPassword('nobody@example.com');
+    expect(mailer.outbox).toHaveLength(0);
+
+    await forgotPassword('USER@example.com');
+    expect(mailer.outbox).toHaveLength(1);
+    expect(mailer.outbox[0].to).toBe('user@example.com');
+    expect(tokenFromLastEmail()).toMatch(/^[0-9a-f]{64}$/);
+  });
+
+  it('should return 400 for invalid email format', async () => {
+    const res = await forgotPassword('invalid-email');
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('POST /api/auth/reset-password', () => {
+  const resetPassword = (token, password = 'ResetPass123!') => request(app)
+    .post('/api/auth/reset-password')
+    .send({ token, password });
+
+  const requestResetToken = async () => {
+    await request(app)
+      .post('/api/auth/forgot-password')
+      .send({ email: 'user@example.com' });
+    return tokenFromLastEmail();
+  };
+
+  it('should set the new password', async () => {
+    const token = await requestResetToken();
+
+    const res = await resetPassword(token);
+
+    expect(res.status).toBe(200);
+    expect(res.body.message).toBe('Password has been reset');
+
+    const oldPassword = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'user@example.com', password: 'UserPass123!' });
+    expect(oldPassword.status).toBe(401);
+
+    const newPassword = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'user@example.com', password: 'ResetPass123!' });
+    expect(newPassword.status).toBe(200);
+  });
+
+  it('should end existing sessions and access tokens', async () => {
+    const session = await login('user@example.com', 'UserPass123!');
+
+    await resetPassword(await requestResetToken());
+
+    const refreshed = await refresh(session.refreshToken);
+    expect(refreshed.status).toBe(401);
+
+    const me = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${session.token}`);
+    expect(me.status).toBe(401);
+  });
+
+  it('should reject a token that was already used', async () => {
+    const token = await requestResetToken();
+    await resetPassword(token);
+
+    const res = await resetPassword(token, 'AnotherPass123!');
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('INVALID_RESET_TOKEN');
+  });
+
+  it('should reject an expired token', async () => {
+    const token = await requestResetToken();
+    const { userTokens } = getStorage();
+    const [record] = await userTokens.find({ purpose: 'password-reset' });
+    await userTokens.updateById(record._id, { expiresAt: new Date(Date.now() - 1000) });
+
+    const res = await resetPassword(token);
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('INVALID_RESET_TOKEN');
+  });
+
+  it('should reject a superseded token', async () => {
+    const firstToken = await requestResetToken();
+    await requestResetToken();
+
+    const res = await resetPassword(firstToken);
+
+    expect(res.status).toBe(400);
+  });
+
+  it('should return 400 for a weak password without using the token', async () => {
+    const token = await requestResetToken();
+
+    const weak = await resetPassword(token, 'weak');
+    expect(weak.status).toBe(400);
+
+    const res = await resetPassword(token);
+    expect(res.status).toBe(200);
+  });
+});
+
+describe('GET /api/auth/verify-email', () => {
+  afterEach(() => {
+    delete process.env.EMAIL_VERIFICATION_REQUIRED_FOR;
+    resetConfig();
+  });
+
+  const register = () => request(app)
+    .post('/api/auth/register')
+    .send({ username: 'newuser', email: 'newuser@example.com', password: 'NewPass123!' });
+
+  it('should verify the account with the emailed token', async () => {
+    const registered = await register();
+    expect(registered.body.user.isVerified).toBe(false);
+
+    const res = await request(app).get(`/api/auth/verify-email?token=${tokenFromLastEmail()}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.message).toBe('Email verified successfully');
+
+    const me = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${registered.body.token}`);
+    expect(me.body.user.isVerified).toBe(true);
+  });
+
+  it('should reject unknown and already used tokens', async () => {
+    await register();
+    const token = tokenFromLastEmail();
+    await request(app).get(`/api/auth/verify-email?token=${token}`);
+
+    const reused = await request(app).get(`/api/auth/verify-email?token=${token}`);
+    const unknown = await request(app).get('/api/auth/verify-email?token=not-a-real-token');
+    const missing = await request(app).get('/api/auth/verify-email');
+
+    [reused, unknown, missing].forEach((res) => {
+      expect(res.status).toBe(400);
+      expect(res.body.code).toBe('INVALID_VERIFICATION_TOKEN');
+    });
+  });
+
+  it('should only allow login after verification when required for login', async () => {
+    process.env.EMAIL_VERIFICATION_REQUIRED_FOR = 'login';
+    resetConfig();
+    const registered = await register();
+    expect(registered.status).toBe(201);
+    expect(registered.body).not.toHaveProperty('token');
+
+    const beforeVerifying = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'newuser@example.com', password: 'NewPass123!' });
+    expect(beforeVerifying.status).toBe(403);
+    expect(beforeVerifying.body.code).toBe('EMAIL_NOT_VERIFIED');
+
+    await request(app).get(`/api/auth/verify-email?token=${tokenFromLastEmail()}`);
+
+    const afterVerifying = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'newuser@example.com', password: 'NewPass123!' });
+    expect(afterVerifying.status).toBe(200);
+  });
+
+  it('should treat accounts without a verification flag as verified at login and on every request', async () => {
+    process.env.EMAIL_VERIFICATION_REQUIRED_FOR = 'login';
+    resetConfig();
+
+    const session = await login('user@example.com', 'UserPass123!');
+    expect(session.user.isVerified).toBe(true);
+
+    const me = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${session.token}`);
+    expect(me.status).toBe(200);
+    expect(me.body.user.isVerified).toBe(true);
+
+    const post = await request(app)
+      .post('/api/posts')
+      .set('Authorization', `Bearer ${session.token}`)
+      .send({ title: 'Legacy Post', content: 'Written by an account that predates verification' });
+    expect(post.status).toBe(201);
+  });
+
+  it('should keep unverified users from posting when required for posting', async () => {
+    process.env.EMAIL_VERIFICATION_REQUIRED_FOR = 'post';
+    resetConfig();
+    const registered = await register();
+
+    const res = await request(app)
+      .post('/api/posts')
+      .set('Authorization', `Bearer ${registered.body.token}`)
+      .send({ title: 'Unverified Post', content: 'Written before confirming the email address' });
+
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('EMAIL_NOT_VERIFIED');
+  });
+});
+
+describe('POST /api/auth/resend-verification', () => {
+  const resend = email => request(app)
+    .post('/api/auth/resend-verification')
+    .send({ email });
+
+  beforeEach(async () => {
+    await request(app)
+      .post('/api/auth/register')
+      .send({ username: 'newuser', email: 'newuser@example.com', password: 'NewPass123!' });
+  });
+
+  // Forgets the email sent at registration, so the resend interval no longer applies
+  const forgetRegistrationEmail = async () => {
+    const { userTokens } = getStorage();
+    const records = await userTokens.find({ purpose: 'email-verification' });
+    await Promise.all(records.map(record => userTokens.deleteById(record._id)));
+    mailer.outbox.length = 0;
+  };
+
+  it('should respond the same for unverified, verified and unknown emails', async () => {
+    await forgetRegistrationEmail();
+
+    const unverified = await resend('newuser@example.com');
+    const verified = await resend('user@example.com');
+    const unknown = await resend('nobody@example.com');
+
+    expect(unverified.status).toBe(200);
+    expect(verified.body).toEqual(unverified.body);
+    expect(unknown.body).toEqual(unverified.body);
+  });
+
+  it('should only email accounts that still need verification', async () => {
+    await forgetRegistrationEmail();
+
+    await resend('user@example.com');
+    await resend('nobody@example.com');
+    expect(mailer.outbox).toHaveLength(0);
+
+    await resend('newuser@example.com');
+    expect(mailer.outbox).toHaveLength(1);
+    expect(mailer.outbox[0].to).toBe('newuser@example.com');
+
+    const res = await request(app).get(`/api/auth/verify-email?token=${tokenFromLastEmail()}`);
+    expect(res.status).toBe(200);
+  });
+
+  it('should skip the email silently within the resend interval', async () => {
+    const res = await resend('newuser@example.com');
+    const unknown = await resend('nobody@example.com');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual(unknown.body);
+    // Only the registration email was sent
+    expect(mailer.outbox).toHaveLength(1);
+  });
+});
+
+describe('Login lockout', () => {
+  const attemptLogin = (email, password) => request(app)
+    .post('/api/auth/login')
+    .send({ email, password });
+
+  // LOGIN_MAX_ATTEMPTS defaults to 5
+  const failLogins = async (email, times = 5) => {
+    for (let i = 0; i < times; i++) {
+      await attemptLogin(email, 'WrongPass123!');
+    }
+  };
+
+  it('should lock the account with 423 after too many failures', async () => {
+    await failLogins('user@example.com');
+
+    const res = await attemptLogin('user@example.com', 'UserPass123!');
+
+    expect(res.status).toBe(423);
+    expect(res.body.code).toBe('ACCOUNT_LOCKED');
+    expect(Number(res.headers['retry-after'])).toBeGreaterThan(0);
+  });
+
+  it('should not lock before the maximum number of failures and reset after a success', async () => {
+    await failLogins('user@example.com', 4);
+    const success = await attemptLogin('user@example.com', 'UserPass123!');
+    expect(success.status).toBe(200);
+
+    await failLogins('user@example.com', 4);
+    const res = await attemptLogin('user@example.com', 'UserPass123!');
+    expect(res.status).toBe(200);
+  });
+
+  it('should give unknown emails the same response as wrong passwords', async () => {
+    const wrongPassword = await attemptLogin('user@example.com', 'WrongPass123!');
+    const unknownEmail = await attemptLogin('nobody@example.com', 'WrongPass123!');
+
+    expect(unknownEmail.status).toBe(wrongPassword.status);
+    expect(unknownEmail.body.error).toBe('Invalid credentials');
+    expect(unknownEmail.body.code).toBe(wrongPassword.body.code);
+  });
+
+  it('should lock unknown emails like real accounts', async () => {
+    await failLogins('nobody@example.com');
+
+    const res = await attemptLogin('nobody@example.com', 'WrongPass123!');
+
+    expect(res.status).toBe(423);
+  });
+
+  it('should answer concurrent failures with 401 and count all of them', async () => {
+    const responses = await Promise.all(
+      Array.from({ length: 5 }, () => attemptLogin('user@example.com', 'WrongPass123!'))
+    );
+    responses.forEach(res => expect(res.status).toBe(401));
+
+    const res = await attemptLogin('user@example.com', 'UserPass123!');
+    expect(res.status).toBe(423);
+  });
+
+  it('should keep other emails unlocked', async () => {
+    await failLogins('nobody@example.com');
+
+    const res = await attemptLogin('user@example.com', 'UserPass123!');
+
+    expect(res.status).toBe(200);
+  });
+});
+
+describe('Two-factor login', () => {
+  const STEP_MS = 30 * 1000;
+  let secret;
+  let recoveryCodes;
+
+  // Enrols the regular user; the code used to confirm enrolment cannot be reused
+  beforeEach(async () => {
+    const setup = await request(app)
+      .post('/api/auth/2fa/setup')
+      .set('Authorization', `Bearer ${userToken}`);
+    ({ secret, recoveryCodes } = setup.body);
+
+    await request(app)
+      .post('/api/auth/2fa/verify')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ code: generateTotp(secret) });
+  });
+
+  const startLogin = async () => {
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'user@example.com', password: 'UserPass123!' });
+    return res.body.challengeToken;
+  };
+
+  const completeLogin = (challengeToken, secondFactor) => request(app)
+    .post('/api/auth/login/2fa')
+    .send({ challengeToken, ...secondFactor });
+
+  it('should answer the password step with a challenge token instead of a session', async () => {
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'user@example.com', password: 'UserPass123!' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.twoFactorRequired).toBe(true);
+    expect(res.body).toHaveProperty('challengeToken');
+    expect(res.body).not.toHaveProperty('token');
+    expect(res.body).not.toHaveProperty('refreshToken');
+  });
+
+  it('should start a session with a code from the authenticator app', async () => {
+    const res = await completeLogin(await startLogin(), { code: generateTotp(secret, Date.now() + STEP_MS) });
+
+    expect(res.status).toBe(200);
+    expect(res.body.user.twoFactorEnabled).toBe(true);
+    expect(res.body).toHaveProperty('refreshToken');
+
+    const me = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${res.body.token}`);
+    expect(me.status).toBe(200);
+  });
+
+  it('should reject a code that was already used', async () => {
+    const code = generateTotp(secret, Date.now() + STEP_MS);
+    await completeLogin(await startLogin(), { code });
+
+    const res = await completeLogin(await startLogin(), { code });
+
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe('INVALID_TWO_FACTOR_CODE');
+  });
+
+  it('should accept each recovery code once', async () => {
+    const first = await completeLogin(await startLogin(), { recoveryCode: recoveryCodes[0] });
+    expect(first.status).toBe(200);
+
+    const reused = await completeLogin(await startLogin(), { recoveryCode: recoveryCodes[0] });
+    expect(reused.status).toBe(401);
+
+    const next = await completeLogin(await startLogin(), { recoveryCode: recoveryCodes[1] });
+    expect(next.status).toBe(200);
+  });
+
+  it('should return 401 for a wrong code', async () => {
+    const res = await completeLogin(await startLogin(), { code: '000000' });
+
+    expect(res.status).toBe(401);
+    expect(res.body.error).toBe('Invalid two-factor code');
+  });
+
+  it('should return 401 for an invalid challenge token', async () => {
+    const code = generateTotp(secret, Date.now() + STEP_MS);
+
+    const forged = await completeLogin('not-a-real-token', { code });
+    const accessToken = await completeLogin(userToken, { code });
+
+    [forged, accessToken].forEach((res) => {
+      expect(res.status).toBe(401);
+      expect(res.body.code).toBe('INVALID_CHALLENGE');
+    });
+  });
+
+  it('should return 400 without a code or recovery code', async () => {
+    const res = await completeLogin(await startLogin(), {});
+
+    expect(res.status).toBe(400);
+  });
+
+  it('should log in with the password alone once disabled', async () => {
+    await request(app)
+      .post('/api/auth/2fa/disable')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ password: 'UserPass123!', recoveryCode: recoveryCodes[0] });
+
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'user@example.com', password: 'UserPass123!' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toHaveProperty('token');
+    expect(res.body.user.twoFactorEnabled).toBe(false);
+  });
+
+  it('should return 400 when disabling with a password that is not a string', async () => {
+    const res = await request(app)
+      .post('/api/auth/2fa/disable')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ password: { $gt: '' }, recoveryCode: recoveryCodes[0] });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details[0].message).toBe('Password is required');
+  });
+});
@@ -0,0 +1,184 @@
+// server/tests/integration/categories.test.js - Integration tests for category routes
+
+const request = require('supertest');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const Category = require('../../src/models/Category');
+const Post = require('../../src/models/Post');
+const { generateToken } = require('../../src/utils/auth');
+
+// The in-memory MongoDB connection and per-test cleanup come from tests/setup.js
+let adminToken;
+let userToken;
+let user;
+let category;
+
+beforeEach(async () => {
+  const admin = await User.create({
+    username: 'admin',
+    email: 'admin@example.com',
+    password: 'AdminPass123!',
+    role: 'admin'
+  });
+  user = await User.create({
+    username: 'user',
+    email: 'user@example.com',
+    password: 'UserPass123!'
+  });
+
+  adminToken = generateToken(admin);
+  userToken = generateToken(user);
+
+  category = await Category.create({
+    name: 'Technology',
+    description: 'Technology related posts',
+    slug: 'technology',
+    color: '#007bff'
+  });
+});
+
+describe('GET /api/categories', () => {
+  it('should list categories with post counts', async () => {
+    await Post.create({
+      title: 'Published Post',
+      content: 'This post is published',
+      author: user._id,
+      category: category._id,
+      status: 'published'
+    });
+    await Post.create({
+      title: 'Draft Post',
+      content: 'This post is still a draft',
+      author: user._id,
+      category: category._id,
+      status: 'draft'
+    });
+
+    const res = await request(app).get('/api/categories');
+
+    expect(res.status).toBe(200);
+    expect(res.body.categories).toHaveLength(1);
+    expect(res.body.categories[0].name).toBe('Technology');
+    expect(res.body.categories[0].postCount).toBe(1);
+  });
+});
+
+describe('GET /api/categories/:slug', () => {
+  it('should return a category by slug', async () => {
+    const res = await request(app).get('/api/categories/technology');
+
+    expect(res.status).toBe(200);
+    expect(res.body.category.name).toBe('Technology');
+  });
+
+  it('should return 404 for unknown slug', async () => {
+    const res = await request(app).get('/api/categories/unknown');
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('POST /api/categories', () => {
+  it('should create a category and derive its slug when admin', async () => {
+    const res = await request(app)
+      .post('/api/categories')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'Science & Nature', color: '#28a745' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.category.name).toBe('Science & Nature');
+    expect(res.body.category.slug).toBe('science-and-nature');
+  });
+
+  it('should strip markup characters from the name and description', async () => {
+    const res = await request(app)
+      .post('/api/categories')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: '<i>Sports</i> & Games', description: '<script>alert(1)</script>' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.category.name).toBe('iSports/i & Games');
+    expect(res.body.category.description).toBe('scriptalert(1)/script');
+  });
+
+  it('should return 403 for non-admin user', async () => {
+    const res = await request(app)
+      .post('/api/categories')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ name: 'Sports' });
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should return 400 for duplicate name', async () => {
+    const res = await request(app)
+      .post('/api/categories')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'Technology' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Category already exists');
+  });
+
+  it('should return 400 for invalid color', async () => {
+    const res = await request(app)
+      .post('/api/categories')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'Sports', color: 'green' });
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('PUT /api/categories/:id', () => {
+  it('should update a category when admin', async () => {
+    const res = await request(app)
+      .put(`/api/categories/${category._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ description: 'All things tech' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.category.description).toBe('All things tech');
+  });
+});
+
+describe('DELETE /api/categories/:id', () => {
+  it('should delete an unused category when admin', async () => {
+    const res = await request(app)
+      .delete(`/api/categories/${category._id}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(200);
+    expect(await Category.findById(category._id)).toBeNull();
+  });
+
+  it('should refuse to delete a category that has posts', async () => {
+    await Post.create({
+      title: 'Published Post',
+      content: 'This post is published',
+      author: user._id,
+      category: category._id
+    });
+
+    const res = await request(app)
+      .delete(`/api/categories/${category._id}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('Post category validation', () => {
+  it('should reject posts whose category does not exist', async () => {
+    const res = await request(app)
+      .post('/api/posts')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({
+        title: 'Orphan Post',
+        content: 'This post points at a missing category',
+        category: '507f1f77bcf86cd799439011'
+      });
+
+    expect(res.status).toBe(400);
+  });
+});
@@ -2,23 +2,19 @@
 
 const request = require('supertest');
 const mongoose = require('mongoose');
-const { MongoMemoryServer } = require('mongodb-memory-server');
 const app = require('../../src/app');
 const Post = require('../../src/models/Post');
 const User = require('../../src/models/User');
+const Category = require('../../src/models/Category');
 const { generateToken } = require('../../src/utils/auth');
 
-let mongoServer;
+// The in-memory MongoDB connection and per-test cleanup come from tests/setup.js,
+// so the test user and post are recreated before each test
 let token;
 let userId;
 let postId;
 
-// Setup in-memory MongoDB server before all tests
-beforeAll(async () => {
-  mongoServer = await MongoMemoryServer.create();
-  const mongoUri = mongoServer.getUri();
-  await mongoose.connect(mongoUri);
-
+beforeEach(async () => {
   // Create a test user
   const user = await User.create({
     username: 'testuser',
@@ -33,36 +29,18 @@ beforeAll(async () => {
     title: 'Test Post',
     content: 'This is a test post content',
     author: userId,
-    category: mongoose.Types.ObjectId(),
     slug: 'test-post',
   });
   postId = post._id;
 });
 
-// Clean up after all tests
-afterAll(async () => {
-  await mongoose.disconnect();
-  await mongoServer.stop();
-});
-
-// Clean up database between tests
-afterEach(async () => {
-  // Keep the test user and post, but clean up any other created data
-  const collections = mongoose.connection.collections;
-  for (const key in collections) {
-    const collection = collections[key];
-    if (collection.collectionName !== 'users' && collection.collectionName !== 'posts') {
-      await collection.deleteMany({});
-    }
-  }
-});
-
 describe('POST /api/posts', () => {
   it('should create a new post when authenticated', async () => {
+    const category = await Category.create({ name: 'Technology', slug: 'technology' });
     const newPost = {
       title: 'New Test Post',
       content: 'This is a new test post content',
-      category: mongoose.Types.ObjectId().toString(),
+      category: category._id.toString(),
     };
 
     const res = await request(app)
@@ -71,17 +49,17 @@ describe('POST /api/posts', () => {
       .send(newPost);
 
     expect(res.status).toBe(201);
-    expect(res.body).toHaveProperty('_id');
-    expect(res.body.title).toBe(newPost.title);
-    expect(res.body.content).toBe(newPost.content);
-    expect(res.body.author).toBe(userId.toString());
+    expect(res.body.post).toHaveProperty('_id');
+    expect(res.body.post.title).toBe(newPost.title);
+    expect(res.body.post.content).toBe(newPost.content);
+    expect(res.body.post.author).toBe(userId.toString());
   });
 
   it('should return 401 if not authenticated', async () => {
     const newPost = {
       title: 'Unauthorized Post',
       content: 'This should not be created',
-      category: mongoose.Types.ObjectId().toString(),
+      category: new mongoose.Types.ObjectId().toString(),
     };
 
     const res = await request(app)
@@ -95,7 +73,7 @@ describe('POST /api/posts', () => {
     const invalidPost = {
       // Missing title
       content: 'This post is missing a title',
-      category: mongoose.Types.ObjectId().toString(),
+      category: new mongoose.Types.ObjectId().toString(),
     };
 
     const res = await request(app)
@@ -106,6 +84,58 @@ describe('POST /api/posts', () => {
     expect(res.status).toBe(400);
     expect(res.body).toHaveProperty('error');
   });
+
+  it('should strip markup characters and keep other text as written', async () => {
+    const newPost = {
+      title: '  Tom & "Jerry\'s" </b> guide  ',
+      content: 'Run <script>alert("xss")</script> in the console',
+      tags: [' <R&D> '],
+    };
+
+    const res = await request(app)
+      .post('/api/posts')
+      .set('Authorization', `Bearer ${token}`)
+      .send(newPost);
+
+    expect(res.status).toBe(201);
+    expect(res.body.post.title).toBe('Tom & "Jerry\'s" /b guide');
+    expect(res.body.post.content).toBe('Run scriptalert("xss")/script in the console');
+    expect(res.body.post.tags).toEqual(['r&d']);
+    expect(res.body.post.slug).toBe('tom-and-jerry-s-b-guide');
+
+    // Saving the post back unchanged must not alter it
+    const update = await request(app)
+      .put(`/api/posts/${res.body.post._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ title: res.body.post.title, content: res.body.post.content, tags: res.body.post.tags });
+
+    expect(update.status).toBe(200);
+    expect(update.body.post.title).toBe(res.body.post.title);
+    expect(update.body.post.content).toBe(res.body.post.content);
+    expect(update.body.post.tags).toEqual(['r&d']);
+  });
+
+  it('should check the content length after sanitizing', async () => {
+    const res = await request(app)
+      .post('/api/posts')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ title: 'Valid Title', content: '<<<<<>>>>> short' });
+
+    expect(res.status).toBe(400);
+  });
+
+  it('should return 400 for non-string title, content or tags', async () => {
+    const responses = await Promise.all([
+      { title: { $gt: '' }, content: 'This post has an object title' },
+      { title: 'Valid Title', content: ['This', 'is', 'not', 'a', 'string'] },
+      { title: 'Valid Title', content: 'This post has an object tag', tags: [{ name: 'tag' }] },
+    ].map(invalidPost => request(app)
+      .post('/api/posts')
+      .set('Authorization', `Bearer ${token}`)
+      .send(invalidPost)));
+
+    responses.forEach(res => expect(res.status).toBe(400));
+  });
 });
 
 describe('GET /api/posts', () => {
@@ -113,12 +143,13 @@ describe('GET /api/posts', () => {
     const res = await request(app).get('/api/posts');
 
     expect(res.status).toBe(200);
-    expect(Array.isArray(res.body)).toBeTruthy();
-    expect(res.body.length).toBeGreaterThan(0);
+    expect(Array.isArray(res.body.posts)).toBeTruthy();
+    expect(res.body.posts.length).toBeGreaterThan(0);
   });
 
   it('should filter posts by category', async () => {
-    const categoryId = mongoose.Types.ObjectId().toString();
+    const category = await Category.create({ name: 'Technology', slug: 'technology' });
+    const categoryId = category._id.toString();
     
     // Create a post with specific category
     await Post.create({
@@ -133,9 +164,9 @@ describe('GET /api/posts', () => {
       .get(`/api/posts?category=${categoryId}`);
 
     expect(res.status).toBe(200);
-    expect(Array.isArray(res.body)).toBeTruthy();
-    expect(res.body.length).toBeGreaterThan(0);
-    expect(res.body[0].category).toBe(categoryId);
+    expect(Array.isArray(res.body.posts)).toBeTruthy();
+    expect(res.body.posts.length).toBeGreaterThan(0);
+    expect(res.body.posts[0].category).toBe(categoryId);
   });
 
   it('should paginate results', async () => {
@@ -146,7 +177,7 @@ describe('GET /api/posts', () => {
         title: `Pagination Post ${i}`,
         content: `Content for pagination test ${i}`,
         author: userId,
-        category: mongoose.Types.ObjectId(),
+        category: new mongoose.Types.ObjectId(),
         slug: `pagination-post-${i}`,
       });
     }
@@ -160,9 +191,126 @@ describe('GET /api/posts', () => {
 
     expect(page1.status).toBe(200);
     expect(page2.status).toBe(200);
-    expect(page1.body.length).toBe(10);
-    expect(page2.body.length).toBeGreaterThan(0);
-    expect(page1.body[0]._id).not.toBe(page2.body[0]._id);
+    expect(page1.body.posts.length).toBe(10);
+    expect(page2.body.posts.length).toBeGreaterThan(0);
+    expect(page1.body.posts[0]._id).not.toBe(page2.body.posts[0]._id);
+  });
+});
+
+describe('GET /api/posts query options', () => {
+  const createPost = (overrides = {}) => Post.create({
+    title: 'Query Post',
+    content: 'Content for query option tests',
+    author: userId,
+    ...overrides,
+  });
+
+  it('should return pagination metadata', async () => {
+    for (let i = 0; i < 12; i++) {
+      await createPost({ title: `Paged Post ${i}`, slug: `paged-post-${i}` });
+    }
+
+    const res = await request(app).get('/api/posts?page=2&limit=5');
+
+    expect(res.status).toBe(200);
+    expect(res.body.posts).toHaveLength(5);
+    expect(res.body.total).toBe(13);
+    expect(res.body.page).toBe(2);
+    expect(res.body.pages).toBe(3);
+  });
+
+  it('should filter posts by author', async () => {
+    const otherUser = await User.create({
+      username: 'otheruser',
+      email: 'other@example.com',
+      password: 'password123',
+    });
+    await createPost({ title: 'Other Author Post', slug: 'other-author-post', author: otherUser._id });
+
+    const res = await request(app).get(`/api/posts?author=${otherUser._id}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.posts).toHaveLength(1);
+    expect(res.body.posts[0].title).toBe('Other Author Post');
+  });
+
+  it('should filter posts by tags', async () => {
+    await createPost({ title: 'Tagged Post', slug: 'tagged-post', tags: ['react', 'testing'] });
+    await createPost({ title: 'Other Tagged Post', slug: 'other-tagged-post', tags: ['mongodb'] });
+
+    const res = await request(app).get('/api/posts?tags=React');
+
+    expect(res.status).toBe(200);
+    expect(res.body.posts.map(post => post.title)).toEqual(['Tagged Post']);
+  });
+
+  it('should filter posts by featured flag', async () => {
+    await createPost({ title: 'Featured Post', slug: 'featured-post', featured: true });
+
+    const res = await request(app).get('/api/posts?featured=true');
+
+    expect(res.status).toBe(200);
+    expect(res.body.posts.map(post => post.title)).toEqual(['Featured Post']);
+  });
+
+  it('should filter posts by status within what the caller may see', async () => {
+    await createPost({ title: 'Draft Post', slug: 'draft-post', status: 'draft' });
+
+    const asAuthor = await request(app)
+      .get('/api/posts?status=draft')
+      .set('Authorization', `Bearer ${token}`);
+    const anonymous = await request(app).get('/api/posts?status=draft');
+
+    expect(asAuthor.status).toBe(200);
+    expect(asAuthor.body.posts.map(post => post.title)).toEqual(['Draft Post']);
+    expect(anonymous.status).toBe(200);
+    expect(anonymous.body.posts).toHaveLength(0);
+  });
+
+  it('should sort posts by title in both directions', async () => {
+    await createPost({ title: 'Alpha Post', slug: 'alpha-post' });
+    await createPost({ title: 'Zulu Post', slug: 'zulu-post' });
+
+    const ascending = await request(app).get('/api/posts?sort=title');
+    const descending = await request(app).get('/api/posts?sort=-title');
+
+    expect(ascending.status).toBe(200);
+    expect(ascending.body.posts.map(post => post.title)).toEqual(['Alpha Post', 'Test Post', 'Zulu Post']);
+    expect(descending.body.posts.map(post => post.title)).toEqual(['Zulu Post', 'Test Post', 'Alpha Post']);
+  });
+
+  it('should return 400 for an unknown status', async () => {
+    const res = await request(app).get('/api/posts?status=deleted');
+
+    expect(res.status).toBe(400);
+    expect(res.body).toHaveProperty('error');
+  });
+
+  it('should reject query operators in the status filter', async () => {
+    const res = await request(app).get('/api/posts?status[$ne]=draft');
+
+    expect(res.status).toBe(400);
+  });
+
+  it('should return 400 for invalid sort, featured or category values', async () => {
+    const responses = await Promise.all([
+      request(app).get('/api/posts?sort=password'),
+      request(app).get('/api/posts?featured=maybe'),
+      request(app).get('/api/posts?category=not-an-id'),
+    ]);
+
+    responses.forEach(res => expect(res.status).toBe(400));
+  });
+
+  it('should return 400 when a single-value parameter is repeated', async () => {
+    const responses = await Promise.all([
+      request(app).get('/api/posts?sort=title&sort=-title'),
+      request(app).get('/api/posts?status=draft&status=published'),
+      request(app).get('/api/posts?featured=true&featured=false'),
+      request(app).get('/api/posts?from=2024-01-01&from=2024-02-01'),
+    ]);
+
+    responses.forEach(res => expect(res.status).toBe(400));
   });
 });
 
@@ -172,17 +320,95 @@ describe('GET /api/posts/:id', () => {
       .get(`/api/posts/${postId}`);
 
     expect(res.status).toBe(200);
-    expect(res.body._id).toBe(postId.toString());
-    expect(res.body.title).toBe('Test Post');
+    expect(res.body.post._id).toBe(postId.toString());
+    expect(res.body.post.title).toBe('Test Post');
   });
 
   it('should return 404 for non-existent post', async () => {
-    const nonExistentId = mongoose.Types.ObjectId();
+    const nonExistentId = new mongoose.Types.ObjectId();
     const res = await request(app)
       .get(`/api/posts/${nonExistentId}`);
 
     expect(res.status).toBe(404);
   });
+
+  it('should return 400 for a malformed id', async () => {
+    const res = await request(app)
+      .get('/api/posts/not-a-valid-id');
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('VALIDATION_ERROR');
+    expect(res.body.details).toEqual([{ field: 'id', message: 'Invalid id' }]);
+  });
+});
+
+describe('Post slugs', () => {
+  const createPost = post => request(app)
+    .post('/api/posts')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ content: 'Content for slug tests', ...post });
+
+  const updatePost = (id, updates) => request(app)
+    .put(`/api/posts/${id}`)
+    .set('Authorization', `Bearer ${token}`)
+    .send(updates);
+
+  it('should add a numeric suffix when two posts share a title', async () => {
+    const first = await createPost({ title: 'Shared Title' });
+    const second = await createPost({ title: 'Shared Title' });
+
+    expect(first.body.post.slug).toBe('shared-title');
+    expect(second.body.post.slug).toBe('shared-title-2');
+  });
+
+  it('should follow title edits until the post is first published', async () => {
+    const created = await createPost({ title: 'First Draft', status: 'draft' });
+    const id = created.body.post._id;
+    expect(created.body.post.slug).toBe('first-draft');
+
+    const renamed = await updatePost(id, { title: 'Second Draft' });
+    expect(renamed.body.post.slug).toBe('second-draft');
+
+    await request(app)
+      .post(`/api/posts/${id}/publish`)
+      .set('Authorization', `Bearer ${token}`);
+
+    const afterPublish = await updatePost(id, { title: 'Final Title' });
+    expect(afterPublish.body.post.title).toBe('Final Title');
+    expect(afterPublish.body.post.slug).toBe('second-draft');
+
+    // Unpublishing does not free the slug again
+    await request(app)
+      .post(`/api/posts/${id}/unpublish`)
+      .set('Authorization', `Bearer ${token}`);
+    const afterUnpublish = await updatePost(id, { title: 'Another Title' });
+    expect(afterUnpublish.body.post.slug).toBe('second-draft');
+  });
+
+  it('should return a post by slug', async () => {
+    const res = await request(app).get('/api/posts/slug/test-post');
+
+    expect(res.status).toBe(200);
+    expect(res.body.post._id).toBe(postId.toString());
+    expect(res.body.post.title).toBe('Test Post');
+  });
+
+  it('should match slugs case-insensitively', async () => {
+    const res = await request(app).get('/api/posts/slug/Test-Post');
+
+    expect(res.status).toBe(200);
+    expect(res.body.post._id).toBe(postId.toString());
+  });
+
+  it('should return 404 for an unknown slug or a post the caller cannot see', async () => {
+    await createPost({ title: 'Hidden Draft', status: 'draft' });
+
+    const unknown = await request(app).get('/api/posts/slug/no-such-post');
+    const hidden = await request(app).get('/api/posts/slug/hidden-draft');
+
+    expect(unknown.status).toBe(404);
+    expect(hidden.status).toBe(404);
+  });
 });
 
 describe('PUT /api/posts/:id', () => {
@@ -198,8 +424,33 @@ describe('PUT /api/posts/:id', () => {
       .send(updates);
 
     expect(res.status).toBe(200);
-    expect(res.body.title).toBe(updates.title);
-    expect(res.body.content).toBe(updates.content);
+    expect(res.body.post.title).toBe(updates.title);
+    expect(res.body.post.content).toBe(updates.content);
+  });
+
+  it('should remove the category when it is set to null', async () => {
+    const category = await Category.create({ name: 'Technology', slug: 'technology' });
+    await request(app)
+      .put(`/api/posts/${postId}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ category: category._id.toString() });
+
+    const res = await request(app)
+      .put(`/api/posts/${postId}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ category: null });
+
+    expect(res.status).toBe(200);
+    expect(res.body.post.category).toBeNull();
+  });
+
+  it('should return 400 for a category that is neither an id nor null', async () => {
+    const res = await request(app)
+      .put(`/api/posts/${postId}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ category: '' });
+
+    expect(res.status).toBe(400);
   });
 
   it('should return 401 if not authenticated', async () => {
@@ -255,4 +506,231 @@ describe('DELETE /api/posts/:id', () => {
 
     expect(res.status).toBe(401);
   });
-}); 
\ No newline at end of file
+}); 
+// Users other than the author, by role, for the visibility and publishing tests
+const createUserWithToken = async (username, role = 'user') => {
+  const user = await User.create({
+    username,
+    email: `${username}@example.com`,
+    password: 'password123',
+    role,
+  });
+  return generateToken(user);
+};
+
+describe('Post visibility', () => {
+  let otherToken;
+  let moderatorToken;
+  let adminToken;
+  let draftId;
+  let scheduledId;
+
+  beforeEach(async () => {
+    otherToken = await createUserWithToken('otheruser');
+    moderatorToken = await createUserWithToken('moderator', 'moderator');
+    adminToken = await createUserWithToken('admin', 'admin');
+
+    const draft = await Post.create({
+      title: 'Draft Post',
+      content: 'This post is still a draft',
+      author: userId,
+      slug: 'draft-post',
+      status: 'draft',
+    });
+    draftId = draft._id;
+
+    const scheduled = await Post.create({
+      title: 'Scheduled Post',
+      content: 'This post goes live tomorrow',
+      author: userId,
+      slug: 'scheduled-post',
+      status: 'scheduled',
+      publishAt: new Date(Date.now() + 24 * 60 * 60 * 1000),
+    });
+    scheduledId = scheduled._id;
+  });
+
+  it('should hide drafts and future scheduled posts from anonymous users', async () => {
+    const list = await request(app).get('/api/posts');
+    const draft = await request(app).get(`/api/posts/${draftId}`);
+    const scheduled = await request(app).get(`/api/posts/${scheduledId}`);
+
+    expect(list.body.posts.map(post => post.title)).toEqual(['Test Post']);
+    expect(draft.status).toBe(404);
+    expect(scheduled.status).toBe(404);
+  });
+
+  it('should hide drafts and future scheduled posts from other users', async () => {
+    const list = await request(app)
+      .get('/api/posts')
+      .set('Authorization', `Bearer ${otherToken}`);
+    const draft = await request(app)
+      .get(`/api/posts/${draftId}`)
+      .set('Authorization', `Bearer ${otherToken}`);
+    const scheduled = await request(app)
+      .get('/api/posts/slug/scheduled-post')
+      .set('Authorization', `Bearer ${otherToken}`);
+
+    expect(list.body.posts.map(post => post.title)).toEqual(['Test Post']);
+    expect(draft.status).toBe(404);
+    expect(scheduled.status).toBe(404);
+  });
+
+  it('should show the author their own drafts and scheduled posts', async () => {
+    const list = await request(app)
+      .get('/api/posts?sort=title')
+      .set('Authorization', `Bearer ${token}`);
+    const draft = await request(app)
+      .get(`/api/posts/${draftId}`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(list.body.posts.map(post => post.title)).toEqual(['Draft Post', 'Scheduled Post', 'Test Post']);
+    expect(draft.status).toBe(200);
+    expect(draft.body.post.status).toBe('draft');
+  });
+
+  it('should show moderators and admins every post', async () => {
+    for (const roleToken of [moderatorToken, adminToken]) {
+      const list = await request(app)
+        .get('/api/posts')
+        .set('Authorization', `Bearer ${roleToken}`);
+      const scheduled = await request(app)
+        .get(`/api/posts/${scheduledId}`)
+        .set('Authorization', `Bearer ${roleToken}`);
+
+      expect(list.body.total).toBe(3);
+      expect(scheduled.status).toBe(200);
+    }
+  });
+
+  it('should show scheduled posts to everyone once publishAt has passed', async () => {
+    const due = await Post.create({
+      title: 'Due Post',
+      content: 'This scheduled post is already live',
+      author: userId,
+      slug: 'due-post',
+      status: 'scheduled',
+      publishAt: new Date(Date.now() - 60 * 1000),
+    });
+
+    const res = await request(app).get(`/api/posts/${due._id}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.post.title).toBe('Due Post');
+  });
+});
+
+describe('POST /api/posts/:id/publish', () => {
+  let draftId;
+
+  beforeEach(async () => {
+    const draft = await Post.create({
+      title: 'Draft Post',
+      content: 'This post is still a draft',
+      author: userId,
+      slug: 'draft-post',
+      status: 'draft',
+    });
+    draftId = draft._id;
+  });
+
+  it('should publish a draft when authenticated as author', async () => {
+    const res = await request(app)
+      .post(`/api/posts/${draftId}/publish`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.post.status).toBe('published');
+    expect(res.body.post.publishedAt).toBeTruthy();
+
+    const publicView = await request(app).get(`/api/posts/${draftId}`);
+    expect(publicView.status).toBe(200);
+  });
+
+  it('should schedule the post when a future publishAt is given', async () => {
+    const publishAt = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+    const res = await request(app)
+      .post(`/api/posts/${draftId}/publish`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ publishAt });
+
+    expect(res.status).toBe(200);
+    expect(res.body.post.status).toBe('scheduled');
+    expect(new Date(res.body.post.publishAt).toISOString()).toBe(publishAt);
+  });
+
+  it('should let admins publish any post', async () => {
+    const adminToken = await createUserWithToken('admin', 'admin');
+
+    const res = await request(app)
+      .post(`/api/posts/${draftId}/publish`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.post.status).toBe('published');
+  });
+
+  it('should return 403 for other users and moderators', async () => {
+    const otherToken = await createUserWithToken('otheruser');
+    const moderatorToken = await createUserWithToken('moderator', 'moderator');
+
+    for (const roleToken of [otherToken, moderatorToken]) {
+      const res = await request(app)
+        .post(`/api/posts/${draftId}/publish`)
+        .set('Authorization', `Bearer ${roleToken}`);
+
+      expect(res.status).toBe(403);
+    }
+  });
+
+  it('should return 401 if not authenticated', async () => {
+    const res = await request(app).post(`/api/posts/${draftId}/publish`);
+
+    expect(res.status).toBe(401);
+  });
+});
+
+describe('POST /api/posts/:id/unpublish', () => {
+  it('should move a post back to draft when authenticated as author', async () => {
+    const res = await request(app)
+      .post(`/api/posts/${postId}/unpublish`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.post.status).toBe('draft');
+
+    const publicView = await request(app).get(`/api/posts/${postId}`);
+    expect(publicView.status).toBe(404);
+  });
+
+  it('should let moderators and admins unpublish any post', async () => {
+    const moderatorToken = await createUserWithToken('moderator', 'moderator');
+    const adminToken = await createUserWithToken('admin', 'admin');
+
+    for (const roleToken of [moderatorToken, adminToken]) {
+      const res = await request(app)
+        .post(`/api/posts/${postId}/unpublish`)
+        .set('Authorization', `Bearer ${roleToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.post.status).toBe('draft');
+    }
+  });
+
+  it('should return 403 for other users', async () => {
+    const otherToken = await createUserWithToken('otheruser');
+
+    const res = await request(app)
+      .post(`/api/posts/${postId}/unpublish`)
+      .set('Authorization', `Bearer ${otherToken}`);
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should return 401 if not authenticated', async () => {
+    const res = await request(app).post(`/api/posts/${postId}/unpublish`);
+
+    expect(res.status).toBe(401);
+  });
+});
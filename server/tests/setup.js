@@ -44,4 +44,6 @@ global.console = {
 // Set test environment
 process.env.NODE_ENV = 'test';
 process.env.JWT_SECRET = 'test-secret-key';
-process.env.JWT_EXPIRES_IN = '1h'; 
\ No newline at end of file
+process.env.JWT_EXPIRES_IN = '1h';
+// Each suite shares one app, and so one per-IP limit on the auth endpoints
+process.env.AUTH_RATE_LIMIT_MAX = '1000'; 
\ No newline at end of file
@@ -0,0 +1,90 @@
+// server/tests/unit/config.test.js - Unit tests for configuration loading and validation
+
+const { loadConfig, getConfig, resetConfig, validateConfig } = require('../../src/config');
+
+const PRODUCTION_ENV = {
+  NODE_ENV: 'production',
+  JWT_SECRET: 'a-very-long-production-secret-value-1234',
+  MONGODB_URI: 'mongodb://db.internal:27017/app',
+  CORS_ORIGINS: 'https://app.example.com, https://admin.example.com'
+};
+
+describe('Configuration', () => {
+  it('should provide development defaults', () => {
+    const { config, errors, warnings } = loadConfig({});
+
+    expect(errors).toEqual([]);
+    expect(config.env).toBe('development');
+    expect(config.port).toBe(5000);
+    expect(config.bcryptRounds).toBe(10);
+    expect(config.jwt.accessTokenExpiresIn).toBe('15m');
+    expect(config.corsOrigins).toEqual(['*']);
+    expect(warnings).toHaveLength(1);
+  });
+
+  it('should parse typed values', () => {
+    const { config } = loadConfig({ PORT: '8080', BCRYPT_ROUNDS: '12', JWT_EXPIRES_IN: '900', REFRESH_TOKEN_TTL_DAYS: '7' });
+
+    expect(config.port).toBe(8080);
+    expect(config.bcryptRounds).toBe(12);
+    expect(config.jwt.accessTokenExpiresIn).toBe(900);
+    expect(config.jwt.refreshTokenTtlDays).toBe(7);
+  });
+
+  it('should report every invalid value', () => {
+    const { errors } = loadConfig({ PORT: 'abc', BCRYPT_ROUNDS: '3', STORAGE_DRIVER: 'redis', JWT_EXPIRES_IN: 'soon' });
+
+    expect(errors).toHaveLength(4);
+  });
+
+  it('should accept a complete production configuration', () => {
+    const { config } = validateConfig(PRODUCTION_ENV);
+
+    expect(config.isProduction).toBe(true);
+    expect(config.corsOrigins).toEqual(['https://app.example.com', 'https://admin.example.com']);
+  });
+
+  it('should refuse to start in production with missing or default secrets', () => {
+    const { JWT_SECRET, ...withoutSecret } = PRODUCTION_ENV;
+
+    expect(() => validateConfig(withoutSecret)).toThrow('JWT_SECRET must be set in production');
+    expect(() => validateConfig({ ...PRODUCTION_ENV, JWT_SECRET: 'secret' })).toThrow('JWT_SECRET must not be a default value');
+    expect(() => validateConfig({ ...PRODUCTION_ENV, JWT_SECRET: 'short' })).toThrow('at least 32 characters');
+  });
+
+  it('should require explicit database and CORS settings in production', () => {
+    const { MONGODB_URI, ...withoutDatabase } = PRODUCTION_ENV;
+
+    expect(() => validateConfig(withoutDatabase)).toThrow('MONGODB_URI must be set in production');
+    expect(() => validateConfig({ ...PRODUCTION_ENV, CORS_ORIGINS: '*' })).toThrow('CORS_ORIGINS must list explicit origins');
+  });
+});
+
+describe('getConfig', () => {
+  afterEach(() => {
+    delete process.env.LOG_LEVEL;
+    resetConfig();
+  });
+
+  it('should read the environment once and cache the result', () => {
+    process.env.LOG_LEVEL = 'warn';
+    resetConfig();
+    const config = getConfig();
+
+    process.env.LOG_LEVEL = 'error';
+
+    expect(getConfig()).toBe(config);
+    expect(getConfig().logLevel).toBe('warn');
+  });
+
+  it('should pick up environment changes after resetConfig', () => {
+    process.env.LOG_LEVEL = 'warn';
+    resetConfig();
+    expect(getConfig().logLevel).toBe('warn');
+
+    process.env.LOG_LEVEL = 'error';
+    resetConfig();
+
+    expect(getConfig().logLevel).toBe('error');
+  });
+});
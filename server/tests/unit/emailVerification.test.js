@@ -0,0 +1,61 @@
+// server/tests/unit/emailVerification.test.js - Unit tests for the email verification policy
+
+const { isVerificationRequired, isVerified } = require('../../src/utils/auth');
+const { requireVerifiedEmail } = require('../../src/middleware/auth');
+const { resetConfig } = require('../../src/config');
+const { ForbiddenError } = require('../../src/utils/errors');
+
+describe('Email verification policy', () => {
+  afterEach(() => {
+    delete process.env.EMAIL_VERIFICATION_REQUIRED_FOR;
+    resetConfig();
+  });
+
+  it('should require nothing by default', () => {
+    expect(isVerificationRequired('post')).toBe(false);
+    expect(isVerificationRequired('login')).toBe(false);
+  });
+
+  it('should require verification for posting only in post mode', () => {
+    process.env.EMAIL_VERIFICATION_REQUIRED_FOR = 'post';
+    resetConfig();
+
+    expect(isVerificationRequired('post')).toBe(true);
+    expect(isVerificationRequired('login')).toBe(false);
+  });
+
+  it('should require verification for everything in login mode', () => {
+    process.env.EMAIL_VERIFICATION_REQUIRED_FOR = 'login';
+    resetConfig();
+
+    expect(isVerificationRequired('post')).toBe(true);
+    expect(isVerificationRequired('login')).toBe(true);
+  });
+
+  it('should treat users without the flag as verified', () => {
+    expect(isVerified({ isVerified: false })).toBe(false);
+    expect(isVerified({ isVerified: true })).toBe(true);
+    expect(isVerified({})).toBe(true);
+  });
+
+  describe('requireVerifiedEmail middleware', () => {
+    it('should reject unverified users when posting requires verification', () => {
+      process.env.EMAIL_VERIFICATION_REQUIRED_FOR = 'post';
+      resetConfig();
+      const next = jest.fn();
+
+      requireVerifiedEmail({ user: { isVerified: false } }, {}, next);
+
+      expect(next.mock.calls[0][0]).toBeInstanceOf(ForbiddenError);
+      expect(next.mock.calls[0][0].code).toBe('EMAIL_NOT_VERIFIED');
+    });
+
+    it('should let unverified users through by default', () => {
+      const next = jest.fn();
+
+      requireVerifiedEmail({ user: { isVerified: false } }, {}, next);
+
+      expect(next).toHaveBeenCalledWith();
+    });
+  });
+});
@@ -0,0 +1,84 @@
+// server/tests/unit/errorHandler.test.js - Unit tests for the typed errors and central error handler
+
+const { errorHandler, notFoundHandler, asyncHandler } = require('../../src/middleware/errorHandler');
+const { ValidationError, NotFoundError, ConflictError } = require('../../src/utils/errors');
+const logger = require('../../src/utils/logger');
+
+jest.mock('../../src/utils/logger');
+
+const createResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const handle = (err) => {
+  const res = createResponse();
+  errorHandler(err, { id: 'req-1', method: 'GET', originalUrl: '/api/test' }, res, jest.fn());
+  return { status: res.status.mock.calls[0][0], body: res.json.mock.calls[0][0] };
+};
+
+describe('errorHandler', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should serialize typed errors into the envelope', () => {
+    const details = [{ field: 'title', message: 'Title is required' }];
+
+    expect(handle(new ValidationError('Validation failed', details))).toEqual({
+      status: 400,
+      body: { error: 'Validation failed', code: 'VALIDATION_ERROR', details, requestId: 'req-1' }
+    });
+    expect(handle(new NotFoundError('Post not found')).status).toBe(404);
+    expect(handle(new ConflictError('User already exists', 'USER_EXISTS')).body.code).toBe('USER_EXISTS');
+  });
+
+  it('should report malformed JSON bodies as 400 INVALID_JSON', () => {
+    const err = Object.assign(new SyntaxError('Unexpected token'), { type: 'entity.parse.failed', status: 400 });
+
+    const { status, body } = handle(err);
+    expect(status).toBe(400);
+    expect(body.code).toBe('INVALID_JSON');
+  });
+
+  it('should map Mongoose validation and duplicate key errors', () => {
+    const validation = Object.assign(new Error('Validation failed'), {
+      name: 'ValidationError',
+      errors: { title: { path: 'title', message: 'Title is required' } }
+    });
+
+    expect(handle(validation).body.details).toEqual([{ field: 'title', message: 'Title is required' }]);
+    expect(handle(Object.assign(new Error('E11000'), { code: 11000 })).body.code).toBe('CONFLICT');
+  });
+
+  it('should hide unexpected errors behind a generic 500 and log them', () => {
+    const { status, body } = handle(new Error('Database exploded'));
+
+    expect(status).toBe(500);
+    expect(body).toEqual({ error: 'Internal server error', code: 'INTERNAL_ERROR', requestId: 'req-1' });
+    expect(logger.error).toHaveBeenCalled();
+  });
+});
+
+describe('notFoundHandler', () => {
+  it('should forward a ROUTE_NOT_FOUND error', () => {
+    const next = jest.fn();
+
+    notFoundHandler({ method: 'GET', originalUrl: '/api/nope' }, createResponse(), next);
+
+    expect(next.mock.calls[0][0]).toMatchObject({ status: 404, code: 'ROUTE_NOT_FOUND' });
+  });
+});
+
+describe('asyncHandler', () => {
+  it('should pass rejected promises to next', async () => {
+    const error = new Error('Async failure');
+    const next = jest.fn();
+
+    await asyncHandler(async () => { throw error; })({}, createResponse(), next);
+
+    expect(next).toHaveBeenCalledWith(error);
+  });
+});
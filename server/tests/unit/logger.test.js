@@ -0,0 +1,159 @@
+// server/tests/unit/logger.test.js - Unit tests for the structured logger and request id middleware
+
+const logger = require('../../src/utils/logger');
+const request = require('supertest');
+const app = require('../../src/app');
+const { requestId } = require('../../src/middleware/logging');
+const { resetConfig } = require('../../src/config');
+
+describe('Logger', () => {
+  let logSpy;
+  let errorSpy;
+
+  beforeEach(() => {
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    // tests/setup.js replaces console methods with shared mocks that keep
+    // their calls across tests, so start each test from a clean slate
+    logSpy.mockClear();
+    errorSpy.mockClear();
+    delete process.env.LOG_LEVEL;
+    resetConfig();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const lastEntry = spy => JSON.parse(spy.mock.calls[spy.mock.calls.length - 1][0]);
+
+  it('should write one JSON line per entry', () => {
+    logger.info('Hello', { userId: 'u1' });
+
+    const entry = lastEntry(logSpy);
+    expect(entry).toMatchObject({ level: 'info', message: 'Hello', userId: 'u1' });
+    expect(entry.timestamp).toBeDefined();
+  });
+
+  it('should respect LOG_LEVEL', () => {
+    process.env.LOG_LEVEL = 'warn';
+    resetConfig();
+
+    logger.info('Hidden');
+    logger.debug('Hidden too');
+    expect(logSpy).not.toHaveBeenCalled();
+  });
+
+  it('should redact sensitive fields at any depth', () => {
+    logger.info('Login', {
+      body: { email: 'a@b.com', password: 'Secret123!', nested: { refreshToken: 'abc' } },
+      headers: { Authorization: 'Bearer xyz' }
+    });
+
+    const entry = lastEntry(logSpy);
+    expect(entry.body.email).toBe('a@b.com');
+    expect(entry.body.password).toBe('[REDACTED]');
+    expect(entry.body.nested.refreshToken).toBe('[REDACTED]');
+    expect(entry.headers.Authorization).toBe('[REDACTED]');
+  });
+
+  it('should redact two-factor and recovery codes but keep error codes', () => {
+    logger.info('Two-factor login', {
+      body: { challengeToken: 'abc', code: '123456', recoveryCode: 'abcd-efgh' },
+      errorCode: 'INVALID_TWO_FACTOR_CODE'
+    });
+
+    const entry = lastEntry(logSpy);
+    expect(entry.body.code).toBe('[REDACTED]');
+    expect(entry.body.recoveryCode).toBe('[REDACTED]');
+    expect(entry.errorCode).toBe('INVALID_TWO_FACTOR_CODE');
+  });
+
+  it('should mask sensitive query parameters in URLs', () => {
+    expect(logger.redactUrl('/api/auth/verify-email?token=abc123&next=%2Fposts'))
+      .toBe('/api/auth/verify-email?token=[REDACTED]&next=%2Fposts');
+    expect(logger.redactUrl('/api/posts?page=2')).toBe('/api/posts?page=2');
+    expect(logger.redactUrl('/api/posts')).toBe('/api/posts');
+  });
+
+  it('should serialize errors', () => {
+    logger.error('Failed', { error: new Error('Boom') });
+
+    const entry = lastEntry(errorSpy);
+    expect(entry.error.message).toBe('Boom');
+    expect(entry.error.stack).toBeDefined();
+  });
+
+  it('should attach the request id from the current context', () => {
+    logger.runWithContext({ requestId: 'req-1' }, () => logger.info('Inside'));
+
+    expect(lastEntry(logSpy).requestId).toBe('req-1');
+  });
+});
+
+describe('requestId middleware', () => {
+  const run = (header) => {
+    const req = { get: jest.fn().mockReturnValue(header) };
+    const res = { set: jest.fn() };
+    let contextId;
+    requestId(req, res, () => {
+      contextId = logger.getRequestId();
+    });
+    return { req, res, contextId };
+  };
+
+  it('should reuse a valid incoming X-Request-Id', () => {
+    const { req, res, contextId } = run('abc-123');
+
+    expect(req.id).toBe('abc-123');
+    expect(res.set).toHaveBeenCalledWith('X-Request-Id', 'abc-123');
+    expect(contextId).toBe('abc-123');
+  });
+
+  it('should generate an id when the header is missing or invalid', () => {
+    expect(run(undefined).req.id).toMatch(/^[0-9a-f-]{36}$/);
+    expect(run('bad id\nwith newline').req.id).toMatch(/^[0-9a-f-]{36}$/);
+  });
+});
+
+describe('accessLog middleware', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should log requests rejected as malformed JSON', async () => {
+    const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    warnSpy.mockClear();
+
+    const res = await request(app)
+      .post('/api/auth/login')
+      .set('Content-Type', 'application/json')
+      .send('{"email": ');
+
+    expect(res.status).toBe(400);
+    const entries = warnSpy.mock.calls.map(([line]) => JSON.parse(line));
+    expect(entries).toContainEqual(expect.objectContaining({
+      message: 'HTTP request',
+      method: 'POST',
+      url: '/api/auth/login',
+      status: 400
+    }));
+  });
+
+  it('should not log tokens passed in the query string', async () => {
+    const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    logSpy.mockClear();
+    warnSpy.mockClear();
+
+    // Unknown route, so nothing touches storage
+    await request(app).get('/api/unknown?token=secret-verification-token');
+
+    const lines = [...logSpy.mock.calls, ...warnSpy.mock.calls].map(([line]) => line);
+    expect(lines.join('\n')).not.toContain('secret-verification-token');
+    expect(lines.map(line => JSON.parse(line))).toContainEqual(expect.objectContaining({
+      message: 'HTTP request',
+      url: '/api/unknown?token=[REDACTED]'
+    }));
+  });
+});
@@ -0,0 +1,112 @@
+// server/tests/unit/loginProtection.test.js - Unit tests for login lockout and rate limiting
+
+const { createStorage, setStorage } = require('../../src/storage');
+const { resetConfig } = require('../../src/config');
+const { getLockRemaining, recordFailedLogin, clearFailedLogins } = require('../../src/utils/loginAttempts');
+const { rateLimit } = require('../../src/middleware/rateLimit');
+const { TooManyRequestsError } = require('../../src/utils/errors');
+
+jest.mock('../../src/utils/logger');
+
+describe('Login attempts', () => {
+  const email = 'test@example.com';
+
+  beforeEach(() => {
+    setStorage(createStorage('memory'));
+    process.env.LOGIN_MAX_ATTEMPTS = '3';
+    process.env.LOGIN_LOCKOUT_SECONDS = '60';
+    resetConfig();
+  });
+
+  afterAll(() => {
+    setStorage(null);
+    delete process.env.LOGIN_MAX_ATTEMPTS;
+    delete process.env.LOGIN_LOCKOUT_SECONDS;
+    resetConfig();
+  });
+
+  it('should not lock before the maximum number of failures', async () => {
+    await recordFailedLogin(email);
+    await recordFailedLogin(email);
+
+    expect(await getLockRemaining(email)).toBe(0);
+  });
+
+  it('should lock once the maximum is reached', async () => {
+    for (let i = 0; i < 3; i++) {
+      await recordFailedLogin(email);
+    }
+
+    const remaining = await getLockRemaining(email);
+    expect(remaining).toBeGreaterThan(59 * 1000);
+    expect(remaining).toBeLessThanOrEqual(60 * 1000);
+  });
+
+  it('should double the lockout with each further failure', async () => {
+    for (let i = 0; i < 5; i++) {
+      await recordFailedLogin(email);
+    }
+
+    expect(await getLockRemaining(email)).toBeGreaterThan(3 * 60 * 1000);
+  });
+
+  it('should count concurrent failures', async () => {
+    await Promise.all(Array.from({ length: 5 }, () => recordFailedLogin(email)));
+
+    expect(await getLockRemaining(email)).toBeGreaterThan(3 * 60 * 1000);
+  });
+
+  it('should clear failures after a successful login', async () => {
+    for (let i = 0; i < 3; i++) {
+      await recordFailedLogin(email);
+    }
+
+    await clearFailedLogins(email);
+
+    expect(await getLockRemaining(email)).toBe(0);
+  });
+});
+
+describe('rateLimit middleware', () => {
+  const createResponse = () => ({ set: jest.fn() });
+
+  it('should allow up to max requests per key and then reject with 429', () => {
+    const limiter = rateLimit({ windowMs: 60 * 1000, max: 2 });
+    const next = jest.fn();
+    const req = { ip: '1.2.3.4' };
+
+    limiter(req, createResponse(), next);
+    limiter(req, createResponse(), next);
+    limiter(req, createResponse(), next);
+
+    expect(next).toHaveBeenNthCalledWith(1);
+    expect(next).toHaveBeenNthCalledWith(2);
+    const error = next.mock.calls[2][0];
+    expect(error).toBeInstanceOf(TooManyRequestsError);
+    expect(error.retryAfter).toBeGreaterThan(0);
+  });
+
+  it('should count each client separately', () => {
+    const limiter = rateLimit({ windowMs: 60 * 1000, max: 1 });
+    const next = jest.fn();
+
+    limiter({ ip: '1.1.1.1' }, createResponse(), next);
+    limiter({ ip: '2.2.2.2' }, createResponse(), next);
+
+    expect(next).toHaveBeenCalledTimes(2);
+    next.mock.calls.forEach(args => expect(args).toEqual([]));
+  });
+
+  it('should start a new window once the previous one expires', () => {
+    jest.useFakeTimers();
+    const limiter = rateLimit({ windowMs: 1000, max: 1 });
+    const next = jest.fn();
+
+    limiter({ ip: '1.1.1.1' }, createResponse(), next);
+    jest.advanceTimersByTime(1001);
+    limiter({ ip: '1.1.1.1' }, createResponse(), next);
+
+    next.mock.calls.forEach(args => expect(args).toEqual([]));
+    jest.useRealTimers();
+  });
+});
@@ -0,0 +1,113 @@
+// server/tests/unit/middleware.test.js - Unit tests for Express middleware
+
+const { requireAuth, requireRole, requirePermission } = require('../../src/middleware/auth');
+const { createStorage, setStorage } = require('../../src/storage');
+const { generateToken } = require('../../src/utils/auth');
+const { AuthError, ForbiddenError } = require('../../src/utils/errors');
+
+const createResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe('requireAuth middleware', () => {
+  let storage;
+  let next;
+
+  beforeEach(() => {
+    storage = createStorage('memory');
+    setStorage(storage);
+    next = jest.fn();
+  });
+
+  afterAll(() => {
+    setStorage(null);
+  });
+
+  it('should fail with a 401 AuthError when no token is provided', async () => {
+    await requireAuth({ headers: {} }, createResponse(), next);
+
+    const [error] = next.mock.calls[0];
+    expect(error).toBeInstanceOf(AuthError);
+    expect(error.status).toBe(401);
+    expect(error.message).toBe('Access token required');
+  });
+
+  it('should fail with a 401 AuthError for an invalid token', async () => {
+    await requireAuth({ headers: { authorization: 'Bearer invalid-token' } }, createResponse(), next);
+
+    const [error] = next.mock.calls[0];
+    expect(error).toBeInstanceOf(AuthError);
+    expect(error.message).toBe('Invalid or expired token');
+  });
+
+  it('should reject inactive users', async () => {
+    const user = await storage.users.create({
+      username: 'inactive',
+      email: 'inactive@example.com',
+      password: 'InactivePass123!',
+      isActive: false
+    });
+    const req = { headers: { authorization: `Bearer ${generateToken(user)}` } };
+
+    await requireAuth(req, createResponse(), next);
+
+    expect(next.mock.calls[0][0]).toBeInstanceOf(AuthError);
+    expect(req.user).toBeUndefined();
+  });
+
+  it('should attach the user and call next for a valid token', async () => {
+    const user = await storage.users.create({
+      username: 'testuser',
+      email: 'test@example.com',
+      password: 'TestPass123!'
+    });
+    const req = { headers: { authorization: `Bearer ${generateToken(user)}` } };
+
+    await requireAuth(req, createResponse(), next);
+
+    expect(next).toHaveBeenCalledWith();
+    expect(req.user._id).toBe(user._id);
+  });
+});
+
+describe('requireRole middleware', () => {
+  it('should fail with a 403 ForbiddenError when the user lacks the role', () => {
+    const next = jest.fn();
+
+    requireRole('admin')({ user: { role: 'user' } }, createResponse(), next);
+
+    const [error] = next.mock.calls[0];
+    expect(error).toBeInstanceOf(ForbiddenError);
+    expect(error.status).toBe(403);
+    expect(error.message).toBe('Insufficient permissions');
+  });
+
+  it('should call next when the user has one of the roles', () => {
+    const next = jest.fn();
+
+    requireRole('user', 'admin')({ user: { role: 'admin' } }, createResponse(), next);
+
+    expect(next).toHaveBeenCalledWith();
+  });
+});
+
+describe('requirePermission middleware', () => {
+  it('should fail with a 403 ForbiddenError when no role of the user grants the permission', () => {
+    const next = jest.fn();
+
+    requirePermission('users:manage')({ user: { role: 'moderator' } }, createResponse(), next);
+
+    expect(next.mock.calls[0][0]).toBeInstanceOf(ForbiddenError);
+  });
+
+  it('should call next when the user\'s role grants the permission', () => {
+    const next = jest.fn();
+
+    requirePermission('posts:unpublish:any')({ user: { role: 'moderator' } }, createResponse(), next);
+
+    expect(next).toHaveBeenCalledWith();
+  });
+});
@@ -0,0 +1,58 @@
+// server/tests/unit/permissions.test.js - Unit tests for the permission matrix and post access rules
+
+const { can } = require('../../src/utils/permissions');
+const {
+  visibilityFilter,
+  canViewPost,
+  canModifyPost,
+  canDeletePost,
+  canUnpublishPost
+} = require('../../src/utils/postAccess');
+
+const admin = { _id: 'a1', role: 'admin' };
+const moderator = { _id: 'm1', role: 'moderator' };
+const author = { _id: 'u1', role: 'user' };
+const otherUser = { _id: 'u2', role: 'user' };
+
+describe('Permission matrix', () => {
+  it('should let only admins manage users and categories', () => {
+    expect(can(admin, 'users:manage')).toBe(true);
+    expect(can(admin, 'categories:manage')).toBe(true);
+    expect(can(moderator, 'users:manage')).toBe(false);
+    expect(can(moderator, 'categories:manage')).toBe(false);
+    expect(can(author, 'users:manage')).toBe(false);
+  });
+
+  it('should deny anonymous users', () => {
+    expect(can(null, 'posts:read:any')).toBe(false);
+  });
+
+  it('should throw for unknown permissions', () => {
+    expect(() => can(admin, 'posts:explode')).toThrow('Unknown permission: posts:explode');
+  });
+});
+
+describe('Post access', () => {
+  const draft = { author: 'u1', status: 'draft' };
+  const published = { author: 'u1', status: 'published' };
+
+  it('should let moderators see and unpublish any post but not edit or delete it', () => {
+    expect(canViewPost(moderator, draft)).toBe(true);
+    expect(canUnpublishPost(moderator, published)).toBe(true);
+    expect(canModifyPost(moderator, published)).toBe(false);
+    expect(canDeletePost(moderator, published)).toBe(false);
+    expect(visibilityFilter(moderator)).toBeNull();
+  });
+
+  it('should let authors and admins modify a post', () => {
+    expect(canModifyPost(author, draft)).toBe(true);
+    expect(canDeletePost(admin, draft)).toBe(true);
+    expect(canModifyPost(otherUser, published)).toBe(false);
+    expect(canUnpublishPost(otherUser, published)).toBe(false);
+  });
+
+  it('should hide drafts from other users', () => {
+    expect(canViewPost(otherUser, draft)).toBe(false);
+    expect(canViewPost(null, published)).toBe(true);
+  });
+});
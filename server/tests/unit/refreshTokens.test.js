@@ -0,0 +1,84 @@
+// server/tests/unit/refreshTokens.test.js - Unit tests for refresh token rotation and revocation
+
+const { createStorage, setStorage } = require('../../src/storage');
+const { generateToken, getCurrentUser } = require('../../src/utils/auth');
+const {
+  issueRefreshToken,
+  rotateRefreshToken,
+  revokeRefreshToken
+} = require('../../src/utils/refreshTokens');
+
+jest.mock('../../src/utils/logger');
+
+describe('Refresh tokens', () => {
+  let storage;
+  let user;
+
+  beforeEach(async () => {
+    storage = createStorage('memory');
+    setStorage(storage);
+    user = await storage.users.create({
+      username: 'testuser',
+      email: 'test@example.com',
+      password: 'TestPass123!'
+    });
+  });
+
+  afterAll(() => {
+    setStorage(null);
+  });
+
+  it('should store only a hash of the token', async () => {
+    const token = await issueRefreshToken(user);
+
+    const [record] = await storage.refreshTokens.find({});
+    expect(record.tokenHash).not.toBe(token);
+    expect(record.expiresAt.getTime()).toBeGreaterThan(Date.now());
+  });
+
+  it('should rotate a token within the same family', async () => {
+    const token = await issueRefreshToken(user);
+
+    const { user: owner, refreshToken } = await rotateRefreshToken(token);
+
+    expect(owner._id).toBe(user._id);
+    expect(refreshToken).not.toBe(token);
+    const records = await storage.refreshTokens.find({});
+    expect(new Set(records.map(record => record.family)).size).toBe(1);
+    await expect(rotateRefreshToken(refreshToken)).resolves.toBeDefined();
+  });
+
+  it('should reject unknown and expired tokens', async () => {
+    await expect(rotateRefreshToken('unknown')).rejects.toThrow('Invalid refresh token');
+
+    const token = await issueRefreshToken(user);
+    const [record] = await storage.refreshTokens.find({});
+    await storage.refreshTokens.updateById(record._id, { expiresAt: new Date(Date.now() - 1000) });
+
+    await expect(rotateRefreshToken(token)).rejects.toMatchObject({ status: 401 });
+  });
+
+  it('should revoke every session when a rotated token is reused', async () => {
+    const stolen = await issueRefreshToken(user);
+    const otherSession = await issueRefreshToken(user);
+    const accessToken = generateToken(user);
+    const { refreshToken } = await rotateRefreshToken(stolen);
+
+    await expect(rotateRefreshToken(stolen)).rejects.toThrow('Invalid refresh token');
+
+    await expect(rotateRefreshToken(refreshToken)).rejects.toThrow('Invalid refresh token');
+    await expect(rotateRefreshToken(otherSession)).rejects.toThrow('Invalid refresh token');
+    expect(await getCurrentUser(accessToken)).toBeNull();
+  });
+
+  it('should revoke only the logged out session', async () => {
+    const token = await issueRefreshToken(user);
+    const otherSession = await issueRefreshToken(user);
+    const { refreshToken } = await rotateRefreshToken(token);
+
+    await revokeRefreshToken(refreshToken);
+
+    await expect(rotateRefreshToken(refreshToken)).rejects.toThrow('Invalid refresh token');
+    await expect(rotateRefreshToken(otherSession)).resolves.toBeDefined();
+  });
+});
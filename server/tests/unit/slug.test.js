@@ -0,0 +1,42 @@
+// server/tests/unit/slug.test.js - Unit tests for slug utilities
+
+const { slugify, generateUniqueSlug } = require('../../src/utils/slug');
+
+describe('Slug Utilities', () => {
+  describe('slugify', () => {
+    it('should lowercase and hyphenate words', () => {
+      expect(slugify('Getting Started with React')).toBe('getting-started-with-react');
+    });
+
+    it('should strip accents and punctuation', () => {
+      expect(slugify('  Café & Crème!! ')).toBe('cafe-and-creme');
+    });
+
+    it('should drop quotes and markup characters', () => {
+      expect(slugify('Tom & "Jerry" <3')).toBe('tom-and-jerry-3');
+    });
+
+    it('should return an empty string for empty input', () => {
+      expect(slugify('')).toBe('');
+      expect(slugify(null)).toBe('');
+    });
+  });
+
+  describe('generateUniqueSlug', () => {
+    it('should return the base slug when it is free', async () => {
+      const slug = await generateUniqueSlug('Hello World', async () => false);
+      expect(slug).toBe('hello-world');
+    });
+
+    it('should append a numeric suffix on collision', async () => {
+      const taken = new Set(['hello-world', 'hello-world-2']);
+      const slug = await generateUniqueSlug('Hello World', async candidate => taken.has(candidate));
+      expect(slug).toBe('hello-world-3');
+    });
+
+    it('should fall back when the text has no usable characters', async () => {
+      const slug = await generateUniqueSlug('!!!', async () => false);
+      expect(slug).toBe('untitled');
+    });
+  });
+});
@@ -0,0 +1,197 @@
+// server/tests/unit/storage.test.js - Unit tests for the in-memory storage driver
+
+const bcrypt = require('bcryptjs');
+const { createStorage } = require('../../src/storage');
+
+describe('Memory Storage', () => {
+  let storage;
+
+  beforeEach(() => {
+    storage = createStorage('memory');
+  });
+
+  it('should reject unknown drivers', () => {
+    expect(() => createStorage('redis')).toThrow('Unknown storage driver: redis');
+  });
+
+  describe('create', () => {
+    it('should assign an id, timestamps and defaults', async () => {
+      const post = await storage.posts.create({ title: 'Hello', content: 'World content' });
+
+      expect(post._id).toBeDefined();
+      expect(post.createdAt).toBeInstanceOf(Date);
+      expect(post.updatedAt).toBeInstanceOf(Date);
+      expect(post.status).toBe('published');
+      expect(post.tags).toEqual([]);
+    });
+
+    it('should assign unique ObjectId-compatible ids within the same millisecond', async () => {
+      const posts = await Promise.all(
+        Array.from({ length: 50 }, (_, i) => storage.posts.create({ title: `Post ${i}` }))
+      );
+      const ids = posts.map(post => post._id);
+
+      expect(new Set(ids).size).toBe(50);
+      ids.forEach(id => expect(id).toMatch(/^[0-9a-f]{24}$/));
+    });
+
+    it('should hash user passwords', async () => {
+      const user = await storage.users.create({
+        username: 'testuser',
+        email: 'test@example.com',
+        password: 'TestPass123!'
+      });
+
+      expect(user.password).not.toBe('TestPass123!');
+      expect(await bcrypt.compare('TestPass123!', user.password)).toBe(true);
+      expect(user.role).toBe('user');
+      expect(user.isActive).toBe(true);
+    });
+
+    it('should return copies that do not affect stored records', async () => {
+      const created = await storage.posts.create({ title: 'Original', tags: ['a'] });
+      created.title = 'Mutated';
+      created.tags.push('b');
+
+      const stored = await storage.posts.findById(created._id);
+      expect(stored.title).toBe('Original');
+      expect(stored.tags).toEqual(['a']);
+    });
+  });
+
+  describe('find', () => {
+    beforeEach(async () => {
+      await storage.posts.create({ title: 'Alpha', author: 'u1', tags: ['react', 'js'], status: 'published' });
+      await storage.posts.create({ title: 'Beta', author: 'u2', tags: ['node'], status: 'draft' });
+      await storage.posts.create({ title: 'Gamma', author: 'u1', tags: ['js'], status: 'published' });
+    });
+
+    it('should filter by equality', async () => {
+      const posts = await storage.posts.find({ author: 'u1' });
+      expect(posts.map(p => p.title)).toEqual(['Alpha', 'Gamma']);
+    });
+
+    it('should match array fields by element', async () => {
+      const posts = await storage.posts.find({ tags: 'js' });
+      expect(posts).toHaveLength(2);
+    });
+
+    it('should support $in, $ne and $or', async () => {
+      expect(await storage.posts.find({ tags: { $in: ['node', 'react'] } })).toHaveLength(2);
+      expect(await storage.posts.find({ status: { $ne: 'draft' } })).toHaveLength(2);
+      expect(await storage.posts.find({ $or: [{ author: 'u2' }, { title: 'Gamma' }] })).toHaveLength(2);
+    });
+
+    it('should support regular expressions', async () => {
+      expect(await storage.posts.find({ title: /^a/i })).toHaveLength(1);
+      expect(await storage.posts.find({ title: { $regex: 'MM', $options: 'i' } })).toHaveLength(1);
+    });
+
+    it('should sort, skip and limit', async () => {
+      const posts = await storage.posts.find({}, { sort: { title: -1 }, skip: 1, limit: 1 });
+      expect(posts.map(p => p.title)).toEqual(['Beta']);
+    });
+
+    it('should count matching records', async () => {
+      expect(await storage.posts.count({ status: 'published' })).toBe(2);
+      expect(await storage.posts.count()).toBe(3);
+    });
+
+    it('should throw for unsupported operators', async () => {
+      await expect(storage.posts.find({ title: { $where: 'x' } })).rejects.toThrow('Unsupported query operator: $where');
+    });
+  });
+
+  describe('updateById and deleteById', () => {
+    it('should update a record and bump updatedAt', async () => {
+      const post = await storage.posts.create({ title: 'Before' });
+      await new Promise(resolve => setTimeout(resolve, 5));
+
+      const updated = await storage.posts.updateById(post._id, { title: 'After' });
+      expect(updated.title).toBe('After');
+      expect(updated.updatedAt.getTime()).toBeGreaterThan(post.updatedAt.getTime());
+    });
+
+    it('should return null for unknown ids', async () => {
+      expect(await storage.posts.updateById('missing', { title: 'x' })).toBeNull();
+      expect(await storage.posts.deleteById('missing')).toBeNull();
+    });
+
+    it('should delete a record', async () => {
+      const post = await storage.posts.create({ title: 'Doomed' });
+
+      await storage.posts.deleteById(post._id);
+      expect(await storage.posts.findById(post._id)).toBeNull();
+    });
+  });
+
+  describe('upsert', () => {
+    it('should insert a record built from the filter and defaults', async () => {
+      const attempt = await storage.loginAttempts.upsert(
+        { email: 'test@example.com' },
+        { $inc: { failedAttempts: 1 } }
+      );
+
+      expect(attempt._id).toMatch(/^[0-9a-f]{24}$/);
+      expect(attempt.email).toBe('test@example.com');
+      expect(attempt.failedAttempts).toBe(1);
+      expect(attempt.lockUntil).toBeNull();
+      expect(await storage.loginAttempts.count()).toBe(1);
+    });
+
+    it('should count every concurrent increment on a single record', async () => {
+      await Promise.all(Array.from({ length: 20 }, () => storage.loginAttempts.upsert(
+        { email: 'test@example.com' },
+        { $inc: { failedAttempts: 1 } }
+      )));
+
+      const attempts = await storage.loginAttempts.find({ email: 'test@example.com' });
+      expect(attempts).toHaveLength(1);
+      expect(attempts[0].failedAttempts).toBe(20);
+    });
+
+    it('should only raise values with $max and overwrite them with $set', async () => {
+      const later = new Date(Date.now() + 60 * 1000);
+      const sooner = new Date(Date.now() + 1000);
+      const filter = { email: 'test@example.com' };
+
+      await storage.loginAttempts.upsert(filter, { $max: { lockUntil: later } });
+      const kept = await storage.loginAttempts.upsert(filter, { $max: { lockUntil: sooner } });
+      expect(kept.lockUntil).toEqual(later);
+
+      const overwritten = await storage.loginAttempts.upsert(filter, { $set: { lockUntil: sooner } });
+      expect(overwritten.lockUntil).toEqual(sooner);
+    });
+
+    it('should throw for unsupported operators', async () => {
+      await expect(storage.loginAttempts.upsert({ email: 'test@example.com' }, { $unset: { lockUntil: '' } }))
+        .rejects.toThrow('Unsupported update operator: $unset');
+    });
+  });
+
+  describe('expiry', () => {
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('should drop login attempts not updated for a day', async () => {
+      jest.useFakeTimers({ now: new Date('2024-01-01T00:00:00Z') });
+      const stale = await storage.loginAttempts.upsert({ email: 'stale@example.com' }, { $inc: { failedAttempts: 1 } });
+
+      jest.setSystemTime(new Date('2024-01-01T23:00:00Z'));
+      await storage.loginAttempts.upsert({ email: 'recent@example.com' }, { $inc: { failedAttempts: 1 } });
+
+      jest.setSystemTime(new Date('2024-01-02T00:00:01Z'));
+      expect(await storage.loginAttempts.findById(stale._id)).toBeNull();
+      expect(await storage.loginAttempts.count()).toBe(1);
+    });
+
+    it('should keep other collections indefinitely', async () => {
+      jest.useFakeTimers({ now: new Date('2024-01-01T00:00:00Z') });
+      const post = await storage.posts.create({ title: 'Old' });
+
+      jest.setSystemTime(new Date('2025-01-01T00:00:00Z'));
+      expect(await storage.posts.findById(post._id)).not.toBeNull();
+    });
+  });
+});
@@ -0,0 +1,92 @@
+// server/tests/unit/totp.test.js - Unit tests for TOTP codes and two-factor helpers
+
+const {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUri
+} = require('../../src/utils/totp');
+const {
+  createRecoveryCodes,
+  checkSecondFactor,
+  issueChallengeToken,
+  verifyChallengeToken
+} = require('../../src/utils/twoFactor');
+const { getCurrentUser } = require('../../src/utils/auth');
+
+// The RFC 6238 SHA-1 test secret
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+describe('TOTP', () => {
+  it('should round-trip base32', () => {
+    expect(RFC_SECRET).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    expect(base32Decode(RFC_SECRET).toString()).toBe('12345678901234567890');
+  });
+
+  it('should match the RFC 6238 test vectors', () => {
+    expect(generateTotp(RFC_SECRET, 59 * 1000)).toBe('287082');
+    expect(generateTotp(RFC_SECRET, 1111111109 * 1000)).toBe('081804');
+    expect(generateTotp(RFC_SECRET, 1234567890 * 1000)).toBe('005924');
+  });
+
+  it('should accept codes within one step of clock drift', () => {
+    const time = 1700000000000;
+    const previous = generateTotp(RFC_SECRET, time - 30 * 1000);
+    const tooOld = generateTotp(RFC_SECRET, time - 90 * 1000);
+
+    expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, time), { time })).toBe(Math.floor(time / 30000));
+    expect(verifyTotp(RFC_SECRET, previous, { time })).not.toBeNull();
+    expect(verifyTotp(RFC_SECRET, tooOld, { time })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, 'abcdef', { time })).toBeNull();
+  });
+
+  it('should generate 32-character base32 secrets', () => {
+    expect(generateSecret()).toMatch(/^[A-Z2-7]{32}$/);
+  });
+
+  it('should build an otpauth URI', () => {
+    const uri = buildOtpauthUri({ secret: RFC_SECRET, accountName: 'test@example.com', issuer: 'MERN Testing' });
+
+    expect(uri).toBe(
+      'otpauth://totp/MERN%20Testing%3Atest%40example.com' +
+      `?secret=${RFC_SECRET}&issuer=MERN%20Testing&algorithm=SHA1&digits=6&period=30`
+    );
+  });
+});
+
+describe('Two-factor helpers', () => {
+  const time = 1700000000000;
+  const { codes, hashes } = createRecoveryCodes();
+  const user = { _id: '507f1f77bcf86cd799439011', twoFactorSecret: RFC_SECRET, twoFactorRecoveryCodes: hashes };
+
+  it('should create ten recovery codes stored as hashes', () => {
+    expect(codes).toHaveLength(10);
+    codes.forEach(code => expect(code).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/));
+    expect(hashes).not.toContain(codes[0]);
+  });
+
+  it('should accept a TOTP code once', () => {
+    const code = generateTotp(RFC_SECRET, time);
+
+    const updates = checkSecondFactor(user, { code }, time);
+    expect(updates).toEqual({ twoFactorLastCounter: Math.floor(time / 30000) });
+    expect(checkSecondFactor({ ...user, ...updates }, { code }, time)).toBeNull();
+  });
+
+  it('should consume recovery codes regardless of case and dashes', () => {
+    const updates = checkSecondFactor(user, { recoveryCode: codes[0].toUpperCase().replace('-', '') });
+
+    expect(updates.twoFactorRecoveryCodes).toHaveLength(9);
+    expect(checkSecondFactor({ ...user, ...updates }, { recoveryCode: codes[0] })).toBeNull();
+  });
+
+  it('should issue challenge tokens that cannot be used as access tokens', async () => {
+    const token = issueChallengeToken(user);
+
+    expect(verifyChallengeToken(token)).toBe(user._id);
+    expect(verifyChallengeToken('invalid')).toBeNull();
+    expect(await getCurrentUser(token)).toBeNull();
+  });
+});
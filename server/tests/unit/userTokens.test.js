@@ -0,0 +1,90 @@
+// server/tests/unit/userTokens.test.js - Unit tests for single-use emailed tokens and mail transports
+
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { createStorage, setStorage } = require('../../src/storage');
+const { issueUserToken, consumeUserToken } = require('../../src/utils/userTokens');
+const { createMailer } = require('../../src/mail');
+const { resetConfig } = require('../../src/config');
+
+describe('User tokens', () => {
+  let storage;
+  let user;
+
+  beforeEach(async () => {
+    storage = createStorage('memory');
+    setStorage(storage);
+    user = await storage.users.create({
+      username: 'testuser',
+      email: 'test@example.com',
+      password: 'TestPass123!'
+    });
+  });
+
+  afterAll(() => {
+    setStorage(null);
+  });
+
+  it('should store a hash and accept the token exactly once', async () => {
+    const token = await issueUserToken(user, 'password-reset', 60);
+
+    const [record] = await storage.userTokens.find({});
+    expect(record.tokenHash).not.toBe(token);
+
+    expect(await consumeUserToken(token, 'password-reset')).toBe(user._id);
+    expect(await consumeUserToken(token, 'password-reset')).toBeNull();
+  });
+
+  it('should not accept a token for a different purpose', async () => {
+    const token = await issueUserToken(user, 'password-reset', 60);
+
+    expect(await consumeUserToken(token, 'email-verification')).toBeNull();
+  });
+
+  it('should reject expired tokens', async () => {
+    const token = await issueUserToken(user, 'password-reset', -1);
+
+    expect(await consumeUserToken(token, 'password-reset')).toBeNull();
+  });
+
+  it('should invalidate earlier tokens when a new one is issued', async () => {
+    const first = await issueUserToken(user, 'password-reset', 60);
+    const second = await issueUserToken(user, 'password-reset', 60);
+
+    expect(await consumeUserToken(first, 'password-reset')).toBeNull();
+    expect(await consumeUserToken(second, 'password-reset')).toBe(user._id);
+  });
+});
+
+describe('Mail transports', () => {
+  const message = { to: 'test@example.com', subject: 'Hello', text: 'Body' };
+
+  it('should keep messages in the memory outbox', async () => {
+    const mailer = createMailer('memory');
+
+    await mailer.send(message);
+
+    expect(mailer.outbox).toHaveLength(1);
+    expect(mailer.outbox[0]).toMatchObject(message);
+  });
+
+  it('should write messages to the file outbox', async () => {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'outbox-'));
+    process.env.MAIL_OUTBOX_DIR = directory;
+    resetConfig();
+    const mailer = createMailer('file');
+    delete process.env.MAIL_OUTBOX_DIR;
+    resetConfig();
+
+    await mailer.send(message);
+
+    const [file] = await fs.readdir(directory);
+    expect(JSON.parse(await fs.readFile(path.join(directory, file), 'utf8'))).toMatchObject(message);
+    await fs.rm(directory, { recursive: true });
+  });
+
+  it('should reject unknown transports', () => {
+    expect(() => createMailer('smtp')).toThrow('Unknown mail transport: smtp');
+  });
+});
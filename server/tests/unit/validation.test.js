@@ -111,8 +111,8 @@ describe('Validation Utilities', () => {
       expect(sanitizeString('<script>alert("xss")</script>')).toBe('scriptalert("xss")/script');
     });
 
-    it('should escape special characters', () => {
-      expect(sanitizeString('test & "quote" \'apos\' /slash/')).toBe('test &amp; &quot;quote&quot; &#x27;apos&#x27; &#x2F;slash&#x2F;');
+    it('should keep other special characters as written', () => {
+      expect(sanitizeString('test & "quote" \'apos\' /slash/')).toBe('test & "quote" \'apos\' /slash/');
     });
 
     it('should trim whitespace', () => {